@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+// Tracks critical frames until the receiver acknowledges them by id. Unacked frames are
+// re-sent with a growing interval until the deadline, then written to the delivery-failure log.
+class AckTracker {
+  constructor(options = {}) {
+    this.target = options.target || 'unknown';
+    this.send = options.send; // (frame) => boolean, false when the transport is not open
+    this.retryIntervalMs = Number(options.retryIntervalMs) || 5000;
+    this.maxRetryIntervalMs = Number(options.maxRetryIntervalMs) || 30000;
+    this.deadlineMs = Number(options.deadlineMs) || 60000;
+    this.failureLogPath = options.failureLogPath || null;
+    this.pending = new Map(); // id -> { frame, attempts, firstSentAt, deadlineAt, timer }
+    this.acked = 0;
+    this.failed = 0;
+    this.detachedAt = null;
+  }
+
+  // Call after the first successful send of a frame that carries ackRequired
+  track(frame) {
+    if (!frame || !frame.id || this.pending.has(frame.id)) return;
+    const now = Date.now();
+    const entry = { frame, attempts: 1, firstSentAt: now, deadlineAt: now + this.deadlineMs, timer: null };
+    this.pending.set(frame.id, entry);
+    this._schedule(entry);
+  }
+
+  ack(id) {
+    const entry = this.pending.get(String(id));
+    if (!entry) return false;
+    clearTimeout(entry.timer);
+    this.pending.delete(String(id));
+    this.acked += 1;
+    return true;
+  }
+
+  // Gives up on everything still pending (e.g. the receiving socket went away for good)
+  abandon(reason) {
+    for (const entry of Array.from(this.pending.values())) this._fail(entry, reason);
+  }
+
+  // The receiver disconnected: stop re-sending but keep every deadline running. Frames it acks
+  // after resuming (through ack()) are settled; the rest are logged as failures at their deadline.
+  detach() {
+    this.send = () => false;
+    this.detachedAt = Date.now();
+  }
+
+  getStatus() {
+    return { pending: this.pending.size, acked: this.acked, failed: this.failed };
+  }
+
+  _schedule(entry) {
+    const delay = Math.min(this.maxRetryIntervalMs, this.retryIntervalMs * Math.pow(2, entry.attempts - 1));
+    const wait = Math.max(0, Math.min(delay, entry.deadlineAt - Date.now()));
+    entry.timer = setTimeout(() => this._retry(entry), wait);
+  }
+
+  _retry(entry) {
+    if (!this.pending.has(entry.frame.id)) return;
+    if (Date.now() >= entry.deadlineAt) {
+      this._fail(entry, 'ack_deadline_exceeded');
+      return;
+    }
+    let sent = false;
+    try { sent = !!this.send({ ...entry.frame, attempt: entry.attempts + 1 }); } catch {}
+    if (sent) entry.attempts += 1;
+    this._schedule(entry);
+  }
+
+  _fail(entry, reason) {
+    clearTimeout(entry.timer);
+    this.pending.delete(entry.frame.id);
+    this.failed += 1;
+    this._logFailure({
+      ts: Date.now(),
+      target: this.target,
+      reason,
+      id: entry.frame.id,
+      name: entry.frame.name,
+      seq: entry.frame.seq,
+      attempts: entry.attempts,
+      firstSentAt: entry.firstSentAt,
+      disconnectedAt: this.detachedAt,
+      payload: entry.frame.payload
+    });
+  }
+
+  _logFailure(record) {
+    if (!this.failureLogPath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.failureLogPath), { recursive: true });
+      fs.appendFileSync(this.failureLogPath, `${JSON.stringify(record)}\n`);
+    } catch {}
+  }
+}
+
+module.exports = { AckTracker };
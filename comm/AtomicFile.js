@@ -0,0 +1,12 @@
+const fs = require('fs');
+
+// Writes to a temp file next to the target and renames it over, so a crash mid-write never
+// leaves a truncated file behind. `options` go to fs.writeFileSync (e.g. { mode: 0o600 }).
+// Throws like fs.writeFileSync; the directory must exist.
+function writeFileAtomic(filePath, content, options) {
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, content, options);
+  fs.renameSync(tmp, filePath);
+}
+
+module.exports = { writeFileAtomic };
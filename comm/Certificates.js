@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./AtomicFile');
+
+// Minimal DER encoder: just enough ASN.1 to build a self-signed X.509 v3 certificate
+// without pulling in a certificate library.
+function derLength(length) {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  for (let n = length; n > 0; n >>= 8) bytes.unshift(n & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function tlv(tag, content) {
+  return Buffer.concat([Buffer.from([tag]), derLength(content.length), content]);
+}
+
+const der = {
+  sequence: (...items) => tlv(0x30, Buffer.concat(items)),
+  set: (...items) => tlv(0x31, Buffer.concat(items)),
+  integer: (bytes) => {
+    let b = Buffer.from(bytes);
+    while (b.length > 1 && b[0] === 0 && !(b[1] & 0x80)) b = b.subarray(1);
+    if (b[0] & 0x80) b = Buffer.concat([Buffer.from([0]), b]);
+    return tlv(0x02, b);
+  },
+  oid: (dotted) => {
+    const parts = dotted.split('.').map(Number);
+    const bytes = [40 * parts[0] + parts[1]];
+    for (const part of parts.slice(2)) {
+      const chunk = [part & 0x7f];
+      for (let n = part >> 7; n > 0; n >>= 7) chunk.unshift(0x80 | (n & 0x7f));
+      bytes.push(...chunk);
+    }
+    return tlv(0x06, Buffer.from(bytes));
+  },
+  utf8: (text) => tlv(0x0c, Buffer.from(text, 'utf8')),
+  boolean: (value) => tlv(0x01, Buffer.from([value ? 0xff : 0x00])),
+  bitString: (bytes, unusedBits = 0) => tlv(0x03, Buffer.concat([Buffer.from([unusedBits]), bytes])),
+  octetString: (bytes) => tlv(0x04, bytes),
+  // UTCTime up to 2049, GeneralizedTime after, as RFC 5280 requires
+  time: (date) => {
+    const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14) + 'Z';
+    return date.getUTCFullYear() < 2050 ? tlv(0x17, Buffer.from(iso.slice(2))) : tlv(0x18, Buffer.from(iso));
+  },
+  explicit: (n, content) => tlv(0xa0 + n, content),
+  implicit: (n, bytes) => tlv(0x80 + n, bytes)
+};
+
+const OID = {
+  commonName: '2.5.4.3',
+  organizationName: '2.5.4.10',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  subjectAltName: '2.5.29.17',
+  basicConstraints: '2.5.29.19',
+  keyUsage: '2.5.29.15',
+  extKeyUsage: '2.5.29.37',
+  serverAuth: '1.3.6.1.5.5.7.3.1'
+};
+
+function ipToBytes(ip) {
+  if (ip.includes(':')) {
+    const [head, tail = ''] = ip.split('::');
+    const h = head ? head.split(':') : [];
+    const t = tail ? tail.split(':') : [];
+    const groups = [...h, ...Array(8 - h.length - t.length).fill('0'), ...t];
+    return Buffer.concat(groups.map(g => { const b = Buffer.alloc(2); b.writeUInt16BE(parseInt(g || '0', 16)); return b; }));
+  }
+  return Buffer.from(ip.split('.').map(Number));
+}
+
+function extension(oid, critical, value) {
+  return critical
+    ? der.sequence(der.oid(oid), der.boolean(true), der.octetString(value))
+    : der.sequence(der.oid(oid), der.octetString(value));
+}
+
+// Builds a self-signed ECDSA P-256 certificate for the given DNS names and IP addresses
+function createSelfSignedCertificate({ commonName, organization, dnsNames = [], ipAddresses = [], validityDays = 365 }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const serial = crypto.randomBytes(16);
+  serial[0] &= 0x7f;
+  const notBefore = new Date(Date.now() - 5 * 60 * 1000); // tolerate small clock skew
+  const notAfter = new Date(notBefore.getTime() + validityDays * 24 * 60 * 60 * 1000);
+  const rdns = [der.set(der.sequence(der.oid(OID.commonName), der.utf8(commonName)))];
+  if (organization) rdns.push(der.set(der.sequence(der.oid(OID.organizationName), der.utf8(organization))));
+  const name = der.sequence(...rdns);
+  const signatureAlgorithm = der.sequence(der.oid(OID.ecdsaWithSha256));
+  const altNames = der.sequence(
+    ...dnsNames.map(dns => der.implicit(2, Buffer.from(dns, 'ascii'))),
+    ...ipAddresses.map(ip => der.implicit(7, ipToBytes(ip)))
+  );
+  const extensions = der.explicit(3, der.sequence(
+    extension(OID.basicConstraints, true, der.sequence()),
+    extension(OID.keyUsage, true, der.bitString(Buffer.from([0x80]), 7)), // digitalSignature
+    extension(OID.extKeyUsage, false, der.sequence(der.oid(OID.serverAuth))),
+    extension(OID.subjectAltName, false, altNames)
+  ));
+  const tbs = der.sequence(
+    der.explicit(0, der.integer([2])), // v3
+    der.integer(serial),
+    signatureAlgorithm,
+    name,
+    der.sequence(der.time(notBefore), der.time(notAfter)),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' }),
+    extensions
+  );
+  const signature = crypto.sign('sha256', tbs, privateKey);
+  const certDer = der.sequence(tbs, signatureAlgorithm, der.bitString(signature));
+  const certPem = `-----BEGIN CERTIFICATE-----\n${certDer.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+  return { key: privateKey.export({ type: 'pkcs8', format: 'pem' }), cert: certPem };
+}
+
+// Owns the per-installation certificate in `dir` (key.pem, cert.pem, previous-cert.pem).
+// ensure() creates it on first use and replaces it once it is within renewBeforeDays of expiry;
+// the previous fingerprint is kept so pinned clients can accept either during the changeover.
+class CertificateManager {
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.commonName = options.commonName || 'TOPIN Companion (local)';
+    this.organization = options.organization || null;
+    this.dnsNames = options.dnsNames || ['localhost'];
+    this.ipAddresses = options.ipAddresses || ['127.0.0.1', '::1'];
+    this.validityDays = Number(options.validityDays) || 365;
+    this.renewBeforeDays = Number(options.renewBeforeDays) || 30;
+    this.current = null; // { key, cert, x509 }
+    this.previousFingerprint256 = null;
+  }
+
+  get keyPath() { return path.join(this.dir, 'key.pem'); }
+  get certPath() { return path.join(this.dir, 'cert.pem'); }
+  get previousCertPath() { return path.join(this.dir, 'previous-cert.pem'); }
+
+  // Returns { key, cert, rotated } with a certificate valid for at least renewBeforeDays
+  ensure() {
+    if (!this.current) this.current = this._load();
+    if (this.current && !this._needsRenewal(this.current.x509)) return { key: this.current.key, cert: this.current.cert, rotated: false };
+    this._rotate();
+    return { key: this.current.key, cert: this.current.cert, rotated: true };
+  }
+
+  rotate() {
+    this._rotate();
+    return { key: this.current.key, cert: this.current.cert, rotated: true };
+  }
+
+  getInfo() {
+    if (!this.current) return null;
+    const x509 = this.current.x509;
+    return {
+      fingerprint256: x509.fingerprint256,
+      previousFingerprint256: this.previousFingerprint256,
+      subject: x509.subject,
+      subjectAltName: x509.subjectAltName,
+      serialNumber: x509.serialNumber,
+      validFrom: new Date(x509.validFrom).toISOString(),
+      validTo: new Date(x509.validTo).toISOString()
+    };
+  }
+
+  _needsRenewal(x509) {
+    const renewAt = new Date(x509.validTo).getTime() - this.renewBeforeDays * 24 * 60 * 60 * 1000;
+    return Date.now() >= renewAt || Date.now() < new Date(x509.validFrom).getTime();
+  }
+
+  _load() {
+    try {
+      const key = fs.readFileSync(this.keyPath, 'utf8');
+      const cert = fs.readFileSync(this.certPath, 'utf8');
+      const x509 = new crypto.X509Certificate(cert);
+      if (!x509.checkPrivateKey(crypto.createPrivateKey(key))) return null;
+      try { this.previousFingerprint256 = new crypto.X509Certificate(fs.readFileSync(this.previousCertPath, 'utf8')).fingerprint256; } catch {}
+      return { key, cert, x509 };
+    } catch {
+      return null;
+    }
+  }
+
+  _rotate() {
+    const previous = this.current;
+    const { key, cert } = createSelfSignedCertificate({
+      commonName: this.commonName,
+      organization: this.organization,
+      dnsNames: this.dnsNames,
+      ipAddresses: this.ipAddresses,
+      validityDays: this.validityDays
+    });
+    this.current = { key, cert, x509: new crypto.X509Certificate(cert) };
+    this.previousFingerprint256 = previous ? previous.x509.fingerprint256 : null;
+    try {
+      fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+      if (previous) writeFileAtomic(this.previousCertPath, previous.cert);
+      writeFileAtomic(this.keyPath, key, { mode: 0o600 });
+      writeFileAtomic(this.certPath, cert, { mode: 0o644 });
+    } catch {}
+  }
+}
+
+module.exports = { CertificateManager, createSelfSignedCertificate };
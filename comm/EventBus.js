@@ -7,7 +7,12 @@ const Stage = Object.freeze({
   SCAN_COMPLETED: 'SCAN_COMPLETED',
   AUTO_SCAN_STARTED: 'AUTO_SCAN_STARTED',
   AUTO_SCAN_RESULT: 'AUTO_SCAN_RESULT',
-  AUTO_SCAN_STOPPED: 'AUTO_SCAN_STOPPED'
+  AUTO_SCAN_STOPPED: 'AUTO_SCAN_STOPPED',
+  SIGNATURES_LOADED: 'SIGNATURES_LOADED',
+  SIGNATURES_REJECTED: 'SIGNATURES_REJECTED',
+  SIGNATURES_UPDATED: 'SIGNATURES_UPDATED',
+  POLICY_PROFILE_CHANGED: 'POLICY_PROFILE_CHANGED',
+  CONNECTION_REJECTED: 'CONNECTION_REJECTED'
 });
 
 const AppEvent = Object.freeze({
@@ -32,34 +37,76 @@ const AllowedOutboundEvents = new Set([
   AppEvent.NO_ISSUES_DETECTED
 ]);
 
+// Events that receivers may be asked to acknowledge by id (see AckTracker)
+const CriticalEvents = new Set([
+  AppEvent.DETECTED_UNWANTED_APPS,
+  AppEvent.ACTIVE_NOTIFICATION_SERVICE
+]);
+
+// Events only the app's own scanners and servers may produce; /emit refuses them in production builds
+const ReservedEvents = new Set([
+  AppEvent.CLIENT_AND_APP_CONNECTED,
+  AppEvent.CLIENT_AND_APP_DISCONNECTED,
+  AppEvent.DETECTED_UNWANTED_APPS,
+  AppEvent.ACTIVE_NOTIFICATION_SERVICE,
+  AppEvent.NO_ISSUES_DETECTED
+]);
+
 class EventBus extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // Every message gets a monotonic seq; epoch changes on restart so clients know seq was reset
+    this.epoch = Date.now();
+    this.seq = 0;
+    // Bounded history so reconnecting clients can replay what they missed
+    this.historySize = Number(options.historySize) || 500;
+    this.history = [];
+  }
+
   emitStage(stage, payload = null) {
-    const message = {
-      kind: 'stage',
-      name: String(stage),
-      payload,
-      ts: Date.now()
-    };
-    this.emit('message', message);
+    this._publish('stage', stage, payload);
+  }
+
+  // Live-only stage: delivered to current subscribers but given no seq and kept out of the history,
+  // so noise (e.g. rejected connections) cannot push real events out of the replay buffer
+  emitTransientStage(stage, payload = null) {
+    this.emit('message', { id: null, kind: 'stage', name: String(stage), payload, ts: Date.now(), seq: null, transient: true });
   }
 
   emitEvent(eventName, payload = null) {
+    this._publish('event', eventName, payload);
+  }
+
+  _publish(kind, name, payload) {
+    const seq = ++this.seq;
     const message = {
-      kind: 'event',
-      name: String(eventName),
+      id: `${this.epoch}-${seq}`,
+      kind,
+      name: String(name),
       payload,
-      ts: Date.now()
+      ts: Date.now(),
+      seq
     };
+    this.history.push(message);
+    if (this.history.length > this.historySize) this.history.shift();
     this.emit('message', message);
   }
 
+  // Messages with seq > lastSeq still in the buffer; gap=true when some were already evicted
+  getSince(lastSeq) {
+    const after = Number(lastSeq) || 0;
+    const messages = this.history.filter(m => m.seq > after);
+    const oldest = this.history.length ? this.history[0].seq : this.seq + 1;
+    return { messages, gap: after < this.seq && oldest > after + 1 };
+  }
+
   subscribe(listener) {
     this.on('message', listener);
     return () => this.off('message', listener);
   }
 }
 
-module.exports = { EventBus, Stage, AppEvent, AllowedOutboundEvents };
+module.exports = { EventBus, Stage, AppEvent, AllowedOutboundEvents, CriticalEvents, ReservedEvents };
 
 
 
@@ -0,0 +1,120 @@
+const { validate, RpcScope } = require('./Protocol');
+
+// Standard JSON-RPC 2.0 error codes plus the server-defined range (-32000..-32099) used by the companion
+const RpcErrorCode = Object.freeze({
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  NOT_PAIRED: -32001,
+  FORBIDDEN: -32003,
+  RATE_LIMITED: -32029
+});
+
+const ALL_SCOPES = Object.freeze(Object.values(RpcScope));
+
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+function errorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (typeof data !== 'undefined') error.data = data;
+  return { jsonrpc: '2.0', error, id: typeof id === 'undefined' ? null : id };
+}
+
+function isValidId(id) {
+  return id === null || typeof id === 'string' || Number.isInteger(id);
+}
+
+// The same error for every request of a payload that is refused as a whole (e.g. rate limited);
+// notifications get nothing back, as with any other error
+function rejectAll(payload, code, message, data) {
+  const requests = Array.isArray(payload) ? payload : [payload];
+  const responses = requests
+    .filter(r => r && typeof r === 'object' && 'id' in r && isValidId(r.id))
+    .map(r => errorResponse(r.id, code, message, data));
+  if (!responses.length) return null;
+  return Array.isArray(payload) ? responses : responses[0];
+}
+
+// Routes JSON-RPC 2.0 requests (single or batch) to registered methods.
+// Each method declares the scope it needs and an optional JSON Schema for its params.
+class JsonRpcRouter {
+  constructor() {
+    this.methods = new Map(); // name -> { handler, scope, params, description }
+  }
+
+  register(name, handler, options = {}) {
+    this.methods.set(name, {
+      handler,
+      scope: options.scope || null,
+      params: options.params || null,
+      description: options.description || ''
+    });
+    return this;
+  }
+
+  describe() {
+    const out = {};
+    for (const [name, m] of this.methods) out[name] = { scope: m.scope, params: m.params, description: m.description };
+    return out;
+  }
+
+  // Returns the response (object, array for batches) or null when nothing must be sent back
+  async handle(payload, context = {}) {
+    if (Array.isArray(payload)) {
+      if (payload.length === 0) return errorResponse(null, RpcErrorCode.INVALID_REQUEST, 'Empty batch');
+      const responses = [];
+      for (const request of payload) {
+        const response = await this._handleOne(request, context);
+        if (response) responses.push(response);
+      }
+      return responses.length ? responses : null;
+    }
+    return this._handleOne(payload, context);
+  }
+
+  async _handleOne(request, context) {
+    if (!request || typeof request !== 'object' || Array.isArray(request) || request.jsonrpc !== '2.0' ||
+        typeof request.method !== 'string' || ('id' in request && !isValidId(request.id))) {
+      return errorResponse(request && isValidId(request.id) ? request.id : null, RpcErrorCode.INVALID_REQUEST, 'Invalid Request');
+    }
+    // Requests without an id are notifications: run them but never answer
+    const isNotification = !('id' in request);
+    const id = isNotification ? null : request.id;
+    let result;
+    try {
+      result = await this._invoke(request, context);
+    } catch (e) {
+      if (isNotification) return null;
+      if (e instanceof RpcError) return errorResponse(id, e.code, e.message, e.data);
+      return errorResponse(id, RpcErrorCode.INTERNAL_ERROR, 'Internal error', { reason: String(e && e.message ? e.message : e) });
+    }
+    if (isNotification) return null;
+    return { jsonrpc: '2.0', result: typeof result === 'undefined' ? null : result, id };
+  }
+
+  async _invoke(request, context) {
+    const method = this.methods.get(request.method);
+    if (!method) throw new RpcError(RpcErrorCode.METHOD_NOT_FOUND, `Method not found: ${request.method}`);
+    if (context.paired === false) throw new RpcError(RpcErrorCode.NOT_PAIRED, 'Pair with the companion app before calling methods');
+    const scopes = context.scopes || [];
+    if (method.scope && !scopes.includes(method.scope)) {
+      throw new RpcError(RpcErrorCode.FORBIDDEN, `Missing scope: ${method.scope}`, { required: method.scope });
+    }
+    const params = typeof request.params === 'undefined' ? {} : request.params;
+    if (method.params) {
+      const errors = validate(method.params, params, '$.params');
+      if (errors.length) throw new RpcError(RpcErrorCode.INVALID_PARAMS, 'Invalid params', { errors });
+    }
+    return method.handler(params, context);
+  }
+}
+
+module.exports = { JsonRpcRouter, RpcError, RpcErrorCode, RpcScope, ALL_SCOPES, rejectAll };
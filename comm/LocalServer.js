@@ -1,90 +1,992 @@
 const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const { WebSocketServer } = require('ws');
-const { AppEvent, AllowedOutboundEvents } = require('./EventBus');
+const { Stage, AppEvent, AllowedOutboundEvents, CriticalEvents, ReservedEvents } = require('./EventBus');
+const { PairingManager } = require('./Pairing');
+const { AckTracker } = require('./AckTracker');
+const { TokenBucket } = require('./Throttle');
+const { writeFileAtomic } = require('./AtomicFile');
+const { RpcErrorCode, rejectAll } = require('./JsonRpc');
+const {
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  UNSUPPORTED_PROTOCOL_CLOSE_CODE,
+  ErrorCode,
+  DEFAULT_TOPICS,
+  checkTopic,
+  topicMatches,
+  CommandSchemas,
+  CommandScopes,
+  InboundSchemas,
+  validate,
+  negotiateVersion,
+  errorFrame,
+  commandResponse,
+  requestIdOf,
+  describeProtocol
+} = require('./Protocol');
+
+// Close code sent to sockets that fail or never complete pairing
+const UNAUTHORIZED_CLOSE_CODE = 4401;
+// Close code for sockets that keep flooding past their rate limit, or stop reading altogether
+const RATE_LIMITED_CLOSE_CODE = 4429;
+const SLOW_CONSUMER_CLOSE_CODE = 4408;
+
+// Every inbound frame takes a message token; commands and RPC requests (which may shell out
+// through the scanners) also take command tokens, one per request in a batch
+const DEFAULT_RATE_LIMITS = Object.freeze({
+  messages: { capacity: 30, refillPerSec: 10 },
+  commands: { capacity: 5, refillPerSec: 0.5 },
+  maxViolations: 50 // rate-limited frames tolerated per connection before it is closed
+});
+
+// Outbound buffering per client: above the soft limit broadcast frames are dropped (and the
+// client told so); above the hard limit the connection is closed so it can resume via replay
+const DEFAULT_BACKPRESSURE = Object.freeze({ softLimitBytes: 1024 * 1024, hardLimitBytes: 8 * 1024 * 1024 });
+
+const DEFAULT_ALLOWED_HOSTS = ['127.0.0.1', 'localhost', '[::1]'];
+
+// Reported by GET /health and the discovery file so the exam site can tell this server from other local services
+const SERVICE_NAME = 'topin-companion';
+
+// Read-only REST resources; each is served by readResource() and needs the status:read scope
+const REST_RESOURCES = { '/status': 'status', '/report': 'report', '/connection': 'connection' };
+const REST_SCOPE = 'status:read';
+
+// Comment line written to idle SSE streams so proxies and browsers keep them open
+const SSE_KEEPALIVE_MS = 15000;
+
+// Rejected requests are reported as at most one CONNECTION_REJECTED summary per interval
+const REJECTION_STAGE_INTERVAL_MS = 5000;
+
+// Bind errors that mean "try the next candidate port"
+const RETRYABLE_BIND_ERRORS = new Set(['EADDRINUSE', 'EACCES']);
+
+// Origin patterns may use '*' as a wildcard, e.g. 'https://*.example.com' or 'http://localhost:*'
+function compileOriginPattern(pattern) {
+  const source = String(pattern || '').trim().toLowerCase()
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '[a-z0-9.-]*');
+  return new RegExp(`^${source}$`);
+}
+
+function splitHostHeader(hostHeader) {
+  const host = String(hostHeader || '').trim().toLowerCase();
+  const m = host.match(/^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/);
+  if (!m) return null;
+  return { hostname: m[1], port: m[2] ? Number(m[2]) : null };
+}
 
 class LocalServer {
   constructor(eventBus, options = {}) {
     this.eventBus = eventBus;
     this.port = Number(options.port) || 3035;
+    this.preferredPort = this.port;
+    // Tried in order when the preferred port is taken; the port actually bound replaces this.port
+    this.fallbackPorts = (options.fallbackPorts || []).map(Number).filter(p => Number.isInteger(p) && p > 0 && p !== this.port);
     this.host = options.host || '127.0.0.1';
+    // JSON file advertising the bound port ({ service, port, pid, ... }); removed on stop
+    this.discoveryFile = options.discoveryFile || null;
+    this.bindError = null;
+    this.startedAt = null;
+    // Optional CertificateManager: serve https/wss with the per-installation certificate instead of http/ws
+    const tls = options.tls || {};
+    this.certificates = tls.certificates || null;
+    this.certCheckIntervalMs = Number(tls.checkIntervalMs) || 12 * 60 * 60 * 1000;
+    this._certTimer = null;
+    this.pairing = options.pairing || new PairingManager();
+    this.pairTimeoutMs = Number(options.pairTimeoutMs) || 15000;
+    // Browsers always send Origin; native clients (Postman, CLI tools) usually do not
+    this.originPatterns = (options.allowedOrigins || []).map(compileOriginPattern);
+    // Host header check defeats DNS rebinding (attacker domain resolving to 127.0.0.1)
+    this.allowedHosts = new Set((options.allowedHosts || DEFAULT_ALLOWED_HOSTS).map(h => String(h).toLowerCase()));
+    // POST /emit injects into the EventBus: disabled without an admin secret, and outside
+    // debug builds it refuses stages and the events scanners are supposed to produce
+    const emitRoute = options.emitRoute || {};
+    this.emitAdminSecret = emitRoute.adminSecret ? String(emitRoute.adminSecret) : null;
+    this.emitAllowReserved = !!emitRoute.allowReserved;
+    // Clients that pair with { ack: true } must acknowledge critical events by id
+    this.ackOptions = options.acks || {};
+    const rateLimits = options.rateLimits || {};
+    this.rateLimits = {
+      messages: { ...DEFAULT_RATE_LIMITS.messages, ...(rateLimits.messages || {}) },
+      commands: { ...DEFAULT_RATE_LIMITS.commands, ...(rateLimits.commands || {}) },
+      maxViolations: Number(rateLimits.maxViolations) || DEFAULT_RATE_LIMITS.maxViolations
+    };
+    this.backpressure = { ...DEFAULT_BACKPRESSURE, ...(options.backpressure || {}) };
+    // Optional JsonRpcRouter; JSON-RPC 2.0 requests (and batches) on /ws are routed to it
+    this.rpc = options.rpc || null;
+    this.maxRejections = Number(options.maxRejections) || 200;
+    this.rejections = [];
+    this.rejectionCount = 0;
+    this.rejectionStageIntervalMs = Number(options.rejectionStageIntervalMs) || REJECTION_STAGE_INTERVAL_MS;
+    this._pendingRejections = null; // { count, reasons, first, last } since the last summary
+    this._rejectionTimer = null;
     this.server = null;
     this.wss = null;
+    this.clients = new Map(); // ws -> { id, ws, protocolVersion, paired, subject, scopes, topics, connectedAt, pairedAt, pairTimer, resume, acks, limits, dropped }
+    this._clientSeq = 0;
+    this.sseClients = new Set(); // { id, res, paired, subject, scopes, topics, connectedAt, acks: null }
+    this.detachedAcks = new Set(); // { subject, tracker } of closed sockets with frames still unacked
+    this._sseKeepAlive = null;
     this.unsubscribe = null;
   }
 
-  start() {
-    if (this.server) return this.port;
-    this.server = http.createServer((req, res) => {
-      if (req.method === 'GET' && req.url === '/health') {
-        res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ ok: true }));
+  // Resolves with the bound port, or null when every candidate port failed (see bindError)
+  async start() {
+    if (this.server) return this.server.listening ? this.port : null;
+    const onRequest = (req, res) => {
+      const rejection = this.checkRequest(req);
+      if (rejection) {
+        this._recordRejection(req, rejection, 'http');
+        this._sendJson(req, res, 403, { error: rejection });
         return;
       }
-      if (req.method === 'POST' && req.url === '/emit') {
-        let body = '';
-        req.on('data', chunk => { body += chunk; if (body.length > 1024 * 1024) req.destroy(); });
-        req.on('end', () => {
-          try {
-            const json = JSON.parse(body || '{}');
-            const kind = json.kind === 'stage' ? 'stage' : 'event';
-            if (kind === 'stage') this.eventBus.emitStage(json.name, json.payload || null);
-            else this.eventBus.emitEvent(json.name, json.payload || null);
-            res.writeHead(202, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ accepted: true }));
-          } catch (e) {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: String(e) }));
-          }
+      if (req.method === 'OPTIONS') {
+        // CORS preflight for allowed origins
+        res.writeHead(204, {
+          ...this._corsHeaders(req),
+          'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+          'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Topin-Admin-Secret',
+          'Access-Control-Max-Age': '600'
         });
+        res.end();
         return;
       }
-      res.writeHead(404, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ error: 'Not found' }));
-    });
+      let pathname = req.url;
+      try { pathname = new URL(req.url, 'http://localhost').pathname; } catch {}
+      if (req.method === 'GET' && pathname === '/health') {
+        this._sendJson(req, res, 200, {
+          ok: true,
+          service: SERVICE_NAME,
+          port: this.port,
+          protocolVersion: PROTOCOL_VERSION,
+          tls: this.getTlsInfo()
+        });
+        return;
+      }
+      if (req.method === 'GET' && pathname === '/protocol') {
+        this._sendJson(req, res, 200, { ...describeProtocol(), rpc: this.rpc ? this.rpc.describe() : null });
+        return;
+      }
+      if (req.method === 'POST' && pathname === '/emit' && this.emitAdminSecret) {
+        this._handleEmit(req, res);
+        return;
+      }
+      if (req.method === 'POST' && pathname === '/pair') {
+        this._handleHttpPair(req, res);
+        return;
+      }
+      if (req.method === 'GET' && REST_RESOURCES[pathname]) {
+        this._handleResource(req, res, REST_RESOURCES[pathname]);
+        return;
+      }
+      if (req.method === 'GET' && pathname === '/events') {
+        this._handleSse(req, res);
+        return;
+      }
+      this._sendJson(req, res, 404, { error: 'Not found' });
+    };
+    if (this.certificates) {
+      const { key, cert } = this.certificates.ensure();
+      this.server = https.createServer({ key, cert }, onRequest);
+    } else {
+      this.server = http.createServer(onRequest);
+    }
 
     this.wss = new WebSocketServer({ noServer: true });
-    const clients = new Set();
 
     this.server.on('upgrade', (req, socket, head) => {
       if (!req.url || !req.url.startsWith('/ws')) {
         socket.destroy();
         return;
       }
+      const rejection = this.checkRequest(req);
+      if (rejection) {
+        this._recordRejection(req, rejection, 'ws');
+        try { socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\nContent-Length: 0\r\n\r\n'); } catch {}
+        return;
+      }
       this.wss.handleUpgrade(req, socket, head, (ws) => {
         this.wss.emit('connection', ws, req);
       });
     });
 
-    this.wss.on('connection', (ws) => {
-      clients.add(ws);
-      try { this.eventBus.emitEvent(AppEvent.CLIENT_AND_APP_CONNECTED, { reason: 'ws_connection_established_Local' }); } catch {}
+    this.wss.on('connection', (ws, req) => {
+      // Clients that skip the hello are assumed to speak the current version
+      const client = {
+        id: ++this._clientSeq,
+        ws,
+        protocolVersion: PROTOCOL_VERSION,
+        paired: false,
+        subject: null,
+        scopes: [],
+        topics: new Set(DEFAULT_TOPICS),
+        connectedAt: Date.now(),
+        pairedAt: null,
+        pairTimer: null,
+        resume: null,
+        acks: null,
+        limits: {
+          messages: new TokenBucket(this.rateLimits.messages),
+          commands: new TokenBucket(this.rateLimits.commands),
+          violations: 0,
+          lastNoticeAt: 0
+        },
+        dropped: null // { count, fromSeq, toSeq } while broadcast frames are being dropped
+      };
+      // Reconnecting clients may pass ?lastSeq=N&epoch=E (or the same fields in the pair message)
+      try {
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        if (query.has('lastSeq')) client.resume = { lastSeq: query.get('lastSeq'), epoch: query.get('epoch') };
+        if (query.get('ack') === '1') client.wantsAck = true;
+      } catch {}
+      this.clients.set(ws, client);
+      // Sockets get a short window to present a pairing code or token, then they are dropped
+      client.pairTimer = setTimeout(() => {
+        if (!client.paired) this._rejectClient(client, 'pairing_timeout');
+      }, this.pairTimeoutMs);
+      ws.on('message', (data) => this._onClientData(client, data));
       ws.on('close', () => {
-        clients.delete(ws);
+        clearTimeout(client.pairTimer);
+        this.clients.delete(ws);
+        // Unacked frames keep their deadline: a resumed connection of the same subject can still
+        // ack them (see _ack), otherwise they end up in the delivery-failure log
+        if (client.acks && client.acks.pending.size) {
+          client.acks.detach();
+          this.detachedAcks.add({ subject: client.subject, tracker: client.acks });
+        }
+        if (!client.paired) return;
         try { this.eventBus.emitEvent(AppEvent.CLIENT_AND_APP_DISCONNECTED, { reason: 'ws_connection_closed' }); } catch {}
       });
     });
 
     this.unsubscribe = this.eventBus.subscribe((message) => {
-      // Only forward allowed outbound events; drop stages and unapproved events
       try {
-        if (!message || message.kind !== 'event') return;
-        if (!AllowedOutboundEvents || !AllowedOutboundEvents.has(String(message.name))) return;
-        const json = JSON.stringify({ kind: 'event', name: message.name, payload: message.payload || null, ts: message.ts || Date.now() });
-        for (const ws of clients) {
-          try {
-            if (ws.readyState === 1) ws.send(json);
-          } catch {}
+        for (const client of this.clients.values()) {
+          if (!client.paired || !this.shouldForward(client, message)) continue;
+          this._deliver(client, message);
+        }
+        for (const client of this.sseClients) {
+          if (this.shouldForward(client, message)) this._deliver(client, message);
         }
       } catch {}
     });
 
-    this.server.listen(this.port, this.host);
-    return this.port;
+    const port = await this._listen();
+    if (port === null) {
+      this.stop();
+      return null;
+    }
+    this.startedAt = Date.now();
+    this._writeDiscoveryFile();
+    this._sseKeepAlive = setInterval(() => {
+      for (const client of this.sseClients) {
+        try { client.res.write(': keepalive\n\n'); } catch {}
+      }
+    }, SSE_KEEPALIVE_MS);
+    if (this._sseKeepAlive.unref) this._sseKeepAlive.unref();
+    if (this.certificates) {
+      this._certTimer = setInterval(() => this._checkCertificate(), this.certCheckIntervalMs);
+      if (this._certTimer.unref) this._certTimer.unref();
+    }
+    return port;
+  }
+
+  get scheme() {
+    return this.certificates ? 'wss' : 'ws';
+  }
+
+  getEndpoint() {
+    return `${this.scheme}://${this.host}:${this.port}/ws`;
+  }
+
+  // { enabled, fingerprint256, previousFingerprint256, validTo, ... } so the exam site can pin the certificate
+  getTlsInfo() {
+    if (!this.certificates) return { enabled: false };
+    return { enabled: true, ...this.certificates.getInfo() };
+  }
+
+  // Renews a certificate close to expiry and swaps it into the running server; open sockets keep theirs
+  _checkCertificate() {
+    try {
+      const { key, cert, rotated } = this.certificates.ensure();
+      if (!rotated) return;
+      if (this.server) this.server.setSecureContext({ key, cert });
+      this._writeDiscoveryFile();
+      try { this.eventBus.emitStage('TLS_CERTIFICATE_ROTATED', this.getTlsInfo()); } catch {}
+    } catch {}
+  }
+
+  async _listen() {
+    const candidates = [this.preferredPort, ...this.fallbackPorts];
+    const attempts = [];
+    for (const port of candidates) {
+      try {
+        await new Promise((resolve, reject) => {
+          const onError = (err) => {
+            this.server.removeListener('listening', onListening);
+            reject(err);
+          };
+          const onListening = () => {
+            this.server.removeListener('error', onError);
+            resolve();
+          };
+          this.server.once('error', onError);
+          this.server.once('listening', onListening);
+          this.server.listen(port, this.host);
+        });
+        this.port = port;
+        this.bindError = null;
+        // Errors after a successful bind must not crash the main process
+        this.server.on('error', () => {});
+        if (port !== this.preferredPort) {
+          try { this.eventBus.emitTransientStage('LOCAL_SERVER_PORT_FALLBACK', { preferredPort: this.preferredPort, port, attempts }); } catch {}
+        }
+        return port;
+      } catch (e) {
+        attempts.push({ port, code: e.code || null, message: e.message });
+        if (!RETRYABLE_BIND_ERRORS.has(e.code)) break;
+      }
+    }
+    this.bindError = { ts: Date.now(), host: this.host, attempts };
+    try { this.eventBus.emitTransientStage('LOCAL_SERVER_BIND_FAILED', this.bindError); } catch {}
+    return null;
+  }
+
+  // Replaced atomically so local tools polling it never read a half-written file
+  _writeDiscoveryFile() {
+    if (!this.discoveryFile) return;
+    const info = {
+      service: SERVICE_NAME,
+      host: this.host,
+      port: this.port,
+      pid: process.pid,
+      protocolVersion: PROTOCOL_VERSION,
+      endpoint: this.getEndpoint(),
+      tls: this.getTlsInfo(),
+      startedAt: this.startedAt
+    };
+    try {
+      fs.mkdirSync(path.dirname(this.discoveryFile), { recursive: true });
+      writeFileAtomic(this.discoveryFile, JSON.stringify(info, null, 2));
+    } catch {}
+  }
+
+  _removeDiscoveryFile() {
+    if (!this.discoveryFile) return;
+    try {
+      // Only remove our own file; another instance may have taken over
+      const info = JSON.parse(fs.readFileSync(this.discoveryFile, 'utf8'));
+      if (info.pid === process.pid) fs.unlinkSync(this.discoveryFile);
+    } catch {}
+  }
+
+  getBindStatus() {
+    return {
+      listening: !!(this.server && this.server.listening),
+      host: this.host,
+      port: this.port,
+      preferredPort: this.preferredPort,
+      fallbackPorts: this.fallbackPorts.slice(),
+      startedAt: this.startedAt,
+      error: this.bindError
+    };
+  }
+
+  _handleEmit(req, res) {
+    if (!this._hasAdminSecret(req)) {
+      this._recordRejection(req, 'admin_secret_invalid', 'http');
+      this._sendJson(req, res, 401, { error: 'admin_secret_invalid' });
+      return;
+    }
+    this._readJsonBody(req, 1024 * 1024).then((json) => {
+      try {
+        const kind = json.kind === 'stage' ? 'stage' : 'event';
+        const name = String(json.name || '');
+        if (!name) {
+          this._sendJson(req, res, 400, { error: 'name_required' });
+          return;
+        }
+        if (!this.emitAllowReserved && (kind === 'stage' || ReservedEvents.has(name))) {
+          this._recordRejection(req, 'event_reserved', 'http');
+          this._sendJson(req, res, 403, { error: 'event_reserved', name });
+          return;
+        }
+        if (kind === 'stage') this.eventBus.emitStage(name, json.payload || null);
+        else this.eventBus.emitEvent(name, json.payload || null);
+        this._sendJson(req, res, 202, { accepted: true });
+      } catch (e) {
+        this._sendJson(req, res, 400, { error: String(e) });
+      }
+    }, (e) => {
+      if (e.status === 413) this._sendPayloadTooLarge(req, res);
+      else this._sendJson(req, res, 400, { error: String(e) });
+    });
+  }
+
+  // Trades a pairing code or token for a session token usable on REST routes, /events and the socket
+  async _handleHttpPair(req, res) {
+    let json = null;
+    try {
+      json = await this._readJsonBody(req);
+    } catch (e) {
+      if (e.status === 413) this._sendPayloadTooLarge(req, res);
+      else this._sendJson(req, res, 400, { error: 'invalid_json', message: e.message });
+      return;
+    }
+    const result = this.pairing.verify({ code: json.code, token: json.token });
+    if (!result.ok) {
+      this._recordRejection(req, result.error || 'pairing_failed', 'http');
+      this._sendJson(req, res, 401, { error: result.error || 'pairing_failed' });
+      return;
+    }
+    this._sendJson(req, res, 200, { ok: true, method: result.method, ...this.pairing.createSession(result) });
+  }
+
+  // Rejects with an error carrying status 413 as soon as the body passes `limit` bytes; the caller
+  // answers with _sendPayloadTooLarge, which drops the connection once the response is out
+  _readJsonBody(req, limit = 64 * 1024) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      let tooLarge = false;
+      req.on('data', chunk => {
+        if (tooLarge) return;
+        body += chunk;
+        if (body.length <= limit) return;
+        tooLarge = true;
+        body = '';
+        reject(Object.assign(new Error('payload too large'), { status: 413 }));
+      });
+      req.on('end', () => {
+        if (tooLarge) return;
+        try { resolve(JSON.parse(body || '{}') || {}); } catch (e) { reject(e); }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  _sendPayloadTooLarge(req, res) {
+    res.on('finish', () => req.destroy());
+    res.shouldKeepAlive = false;
+    this._sendJson(req, res, 413, { error: 'payload_too_large' });
+  }
+
+  // Session token from 'Authorization: Bearer' or, for EventSource which cannot set headers, ?access_token=
+  _authenticate(req, res, scope) {
+    let token = null;
+    const header = String(req.headers.authorization || '');
+    if (header.toLowerCase().startsWith('bearer ')) token = header.slice(7).trim();
+    if (!token) {
+      try { token = new URL(req.url, 'http://localhost').searchParams.get('access_token'); } catch {}
+    }
+    const session = token ? this.pairing.verifySession(token) : { ok: false, error: 'unauthorized' };
+    if (!session.ok) {
+      this._recordRejection(req, session.error, 'http');
+      this._sendJson(req, res, 401, { error: session.error });
+      return null;
+    }
+    if (scope && !session.scopes.includes(scope)) {
+      this._sendJson(req, res, 403, { error: 'forbidden', required: scope });
+      return null;
+    }
+    return session;
+  }
+
+  async _handleResource(req, res, name) {
+    const session = this._authenticate(req, res, REST_SCOPE);
+    if (!session) return;
+    let data = null;
+    try {
+      data = await this.readResource(name, { subject: session.subject, scopes: session.scopes });
+    } catch (e) {
+      this._sendJson(req, res, 500, { error: 'internal_error', message: String(e && e.message ? e.message : e) });
+      return;
+    }
+    if (data === null || typeof data === 'undefined') {
+      this._sendJson(req, res, 404, { error: 'not_available', resource: name });
+      return;
+    }
+    this._sendJson(req, res, 200, data);
+  }
+
+  // Hook for subclasses: returns the REST resource ('status', 'report', 'connection') or null
+  async readResource(name, _context) {
+    if (name !== 'connection') return null;
+    return {
+      endpoint: this.getEndpoint(),
+      clients: this.getClientSummary(),
+      bind: this.getBindStatus(),
+      tls: this.getTlsInfo(),
+      events: { epoch: this.eventBus.epoch, seq: this.eventBus.seq }
+    };
+  }
+
+  // SSE stream with the same topic filtering and replay as the socket:
+  // ?topics=event:*,stage:AUTO_SCAN_RESULT and Last-Event-ID (or ?lastEventId=) set to the last frame id
+  _handleSse(req, res) {
+    const session = this._authenticate(req, res, REST_SCOPE);
+    if (!session) return;
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const topics = query.has('topics') ? query.get('topics').split(',').map(t => t.trim()).filter(Boolean) : DEFAULT_TOPICS.slice();
+    const invalid = topics.map(topic => ({ topic, reason: checkTopic(topic) })).filter(t => t.reason);
+    if (invalid.length) {
+      this._sendJson(req, res, 400, { error: ErrorCode.INVALID_TOPIC, topics: invalid });
+      return;
+    }
+    res.writeHead(200, {
+      ...this._corsHeaders(req),
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+    const client = {
+      id: ++this._clientSeq,
+      res,
+      dropped: null,
+      paired: true,
+      subject: session.subject,
+      scopes: session.scopes,
+      topics: new Set(topics),
+      connectedAt: Date.now(),
+      acks: null
+    };
+    this.sseClients.add(client);
+    req.on('close', () => this.sseClients.delete(client));
+    // Frame ids are '<epoch>-<seq>', so the browser's automatic Last-Event-ID doubles as a resume point
+    const lastEventId = req.headers['last-event-id'] || query.get('lastEventId');
+    const m = String(lastEventId || '').match(/^(\d+)-(\d+)$/);
+    if (m) this._replayMissed(client, { epoch: m[1], lastSeq: m[2] });
+  }
+
+  _hasAdminSecret(req) {
+    const given = Buffer.from(String(req.headers['x-topin-admin-secret'] || ''));
+    const expected = Buffer.from(this.emitAdminSecret);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  // Events must be on the outbound whitelist; stages only go to clients that subscribed to them
+  shouldForward(client, message) {
+    if (!message || (message.kind !== 'event' && message.kind !== 'stage')) return false;
+    if (message.kind === 'event' && !AllowedOutboundEvents.has(String(message.name))) return false;
+    return topicMatches(client.topics, message);
+  }
+
+  toFrame(message) {
+    return { id: message.id, kind: message.kind, name: message.name, payload: message.payload || null, ts: message.ts || Date.now(), seq: message.seq };
+  }
+
+  // Sends buffered messages the client missed while disconnected, before live ones resume
+  _replayMissed(client, resume) {
+    if (!resume || typeof resume.lastSeq === 'undefined' || resume.lastSeq === null) return;
+    // A different epoch means the app restarted and seq numbers were reset: replay everything buffered
+    const sameEpoch = !resume.epoch || Number(resume.epoch) === this.eventBus.epoch;
+    const lastSeq = sameEpoch ? Number(resume.lastSeq) || 0 : 0;
+    const { messages, gap } = this.eventBus.getSince(lastSeq);
+    if (gap || !sameEpoch) {
+      this.sendToClient(client, { type: 'replay_gap', lastSeq, epochChanged: !sameEpoch, oldestSeq: messages.length ? messages[0].seq : null });
+    }
+    for (const message of messages) {
+      if (!this.shouldForward(client, message)) continue;
+      this._deliver(client, message, { replay: true });
+    }
+  }
+
+  _deliver(client, message, extra = {}) {
+    if (!this._hasBufferRoom(client, message)) return;
+    const frame = { ...this.toFrame(message), ...extra };
+    if (client.acks && CriticalEvents.has(frame.name)) {
+      frame.ackRequired = true;
+      if (this.sendToClient(client, frame)) client.acks.track(frame);
+      return;
+    }
+    this.sendToClient(client, frame);
+  }
+
+  _bufferedBytes(client) {
+    if (client.res) return client.res.writableLength || 0;
+    return client.ws.bufferedAmount || 0;
+  }
+
+  // Backpressure for broadcast frames: a slow consumer loses frames (and gets a frames_dropped
+  // notice with the seq range once it catches up) instead of growing memory without bound
+  _hasBufferRoom(client, message) {
+    const buffered = this._bufferedBytes(client);
+    if (buffered > this.backpressure.hardLimitBytes) {
+      try {
+        if (client.res) client.res.destroy();
+        else client.ws.close(SLOW_CONSUMER_CLOSE_CODE, 'slow_consumer');
+      } catch {}
+      return false;
+    }
+    if (buffered > this.backpressure.softLimitBytes) {
+      if (!client.dropped) client.dropped = { count: 0, fromSeq: message.seq, toSeq: message.seq };
+      client.dropped.count += 1;
+      client.dropped.toSeq = message.seq;
+      return false;
+    }
+    if (client.dropped) {
+      this.sendToClient(client, { type: 'frames_dropped', reason: 'slow_consumer', ...client.dropped });
+      client.dropped = null;
+    }
+    return true;
+  }
+
+  // Returns a rejection reason, or null when the request may proceed
+  checkRequest(req) {
+    const host = splitHostHeader(req.headers.host);
+    if (!host || !this.allowedHosts.has(host.hostname)) return 'host_not_allowed';
+    if (host.port !== null && host.port !== this.port) return 'host_not_allowed';
+    const origin = req.headers.origin;
+    if (typeof origin !== 'undefined' && !this.isOriginAllowed(origin)) return 'origin_not_allowed';
+    return null;
+  }
+
+  isOriginAllowed(origin) {
+    const o = String(origin || '').toLowerCase();
+    return this.originPatterns.some(re => re.test(o));
+  }
+
+  getRejections() {
+    return { total: this.rejectionCount, recent: this.rejections.slice() };
+  }
+
+  _recordRejection(req, reason, transport) {
+    const entry = {
+      ts: Date.now(),
+      reason,
+      transport,
+      method: req.method,
+      path: req.url,
+      origin: req.headers.origin || null,
+      host: req.headers.host || null,
+      userAgent: req.headers['user-agent'] || null
+    };
+    this.rejectionCount += 1;
+    this.rejections.push(entry);
+    if (this.rejections.length > this.maxRejections) this.rejections.shift();
+    // Coalesced and live-only: a flood of bad requests must not evict real events from replay
+    const pending = this._pendingRejections || (this._pendingRejections = { count: 0, reasons: {}, first: entry.ts, last: null });
+    pending.count += 1;
+    pending.reasons[reason] = (pending.reasons[reason] || 0) + 1;
+    pending.last = entry;
+    if (this._rejectionTimer) return;
+    this._flushRejections();
+    this._rejectionTimer = setInterval(() => {
+      if (!this._pendingRejections) {
+        clearInterval(this._rejectionTimer);
+        this._rejectionTimer = null;
+        return;
+      }
+      this._flushRejections();
+    }, this.rejectionStageIntervalMs);
+    if (this._rejectionTimer.unref) this._rejectionTimer.unref();
+  }
+
+  _flushRejections() {
+    const pending = this._pendingRejections;
+    this._pendingRejections = null;
+    if (!pending) return;
+    try {
+      this.eventBus.emitTransientStage(Stage.CONNECTION_REJECTED, { ...pending, first: new Date(pending.first).toISOString(), total: this.rejectionCount });
+    } catch {}
+  }
+
+  _corsHeaders(req) {
+    const origin = req.headers.origin;
+    if (!origin || !this.isOriginAllowed(origin)) return {};
+    return { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' };
+  }
+
+  _sendJson(req, res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...this._corsHeaders(req) });
+    res.end(JSON.stringify(body));
+  }
+
+  // Hook for subclasses: called with every parsed message from a paired client
+  async handleClientMessage(_client, _message) {}
+
+  async _onClientData(client, data) {
+    if (!this._withinRateLimit(client, 'messages', 1)) return;
+    let message = null;
+    try {
+      message = JSON.parse(String(data || ''));
+    } catch (e) {
+      this.sendToClient(client, errorFrame(ErrorCode.INVALID_JSON, 'Message is not valid JSON', { reason: e.message }));
+      return;
+    }
+    if (this.rpc && (Array.isArray(message) || (message && typeof message === 'object' && 'jsonrpc' in message))) {
+      const cost = Array.isArray(message) ? Math.max(1, message.length) : 1;
+      const notify = (details) => {
+        const response = rejectAll(message, RpcErrorCode.RATE_LIMITED, 'Rate limited', details);
+        if (response) this.sendToClient(client, response);
+      };
+      if (!this._withinRateLimit(client, 'commands', cost, notify)) return;
+      await this._handleRpc(client, message);
+      return;
+    }
+    if (!this._checkMessage(client, message)) return;
+
+    if (message.type === 'hello') {
+      this._handleHello(client, message);
+      return;
+    }
+    if (message.type === 'pair') {
+      this._handlePair(client, message);
+      return;
+    }
+    if (!client.paired) {
+      this.sendToClient(client, errorFrame(ErrorCode.NOT_PAIRED, 'Pair with the companion app before sending commands'));
+      return;
+    }
+    if (message.type === 'subscribe' || message.type === 'unsubscribe') {
+      this._handleSubscription(client, message);
+      return;
+    }
+    if (message.type === 'ack') {
+      const ids = Array.isArray(message.ids) ? message.ids : [message.id];
+      for (const id of ids) this._ack(client, id);
+      return;
+    }
+    if (message.type === 'command') {
+      if (!this._checkCommand(client, message)) return;
+      const notify = (details) => this.sendToClient(client, { ...errorFrame(ErrorCode.RATE_LIMITED, 'Too many commands', details), requestId: requestIdOf(message) });
+      if (!this._withinRateLimit(client, 'commands', 1, notify)) return;
+    }
+    try {
+      await this.handleClientMessage(client, message);
+    } catch (e) {
+      const reason = String(e && e.message ? e.message : e);
+      console.error(`LocalServer: handler for ${message.type}${message.action ? ` ${message.action}` : ''} failed:`, e);
+      const frame = message.type === 'command'
+        ? commandResponse(message, { ok: false, code: ErrorCode.INTERNAL_ERROR, error: reason })
+        : { ...errorFrame(ErrorCode.INTERNAL_ERROR, 'Internal error', { reason }), requestId: requestIdOf(message) };
+      this.sendToClient(client, frame);
+    }
+  }
+
+  // Settles an ack on the client's own tracker and on those its earlier, closed connections left
+  _ack(client, id) {
+    if (client.acks) client.acks.ack(id);
+    for (const detached of this.detachedAcks) {
+      if (detached.tracker.pending.size === 0) {
+        this.detachedAcks.delete(detached);
+        continue;
+      }
+      if (detached.subject === client.subject) detached.tracker.ack(id);
+    }
+  }
+
+  // Takes tokens from the client's bucket; over the limit the frame is dropped, the client is told
+  // and persistent offenders are disconnected
+  _withinRateLimit(client, bucket, cost, notify = null) {
+    const limits = client.limits;
+    if (!limits || limits[bucket].take(cost)) return true;
+    limits.violations += 1;
+    if (limits.violations > this.rateLimits.maxViolations) {
+      try { client.ws.close(RATE_LIMITED_CLOSE_CODE, ErrorCode.RATE_LIMITED); } catch {}
+      return false;
+    }
+    const details = { bucket, retryAfterMs: limits[bucket].retryAfterMs(cost) };
+    // RPC calls and commands always get their own correlated error; other frames are told at most once a second
+    if (notify) {
+      notify(details);
+      return false;
+    }
+    const now = Date.now();
+    if (now - limits.lastNoticeAt >= 1000) {
+      limits.lastNoticeAt = now;
+      this.sendToClient(client, errorFrame(ErrorCode.RATE_LIMITED, `Too many ${bucket}`, details));
+    }
+    return false;
+  }
+
+  // Validates a parsed frame against the protocol schemas; answers with an error frame and returns false when invalid
+  _checkMessage(client, message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      this.sendToClient(client, errorFrame(ErrorCode.INVALID_MESSAGE, 'Message must be a JSON object'));
+      return false;
+    }
+    const schema = InboundSchemas[message.type];
+    if (!schema) {
+      this.sendToClient(client, errorFrame(ErrorCode.UNKNOWN_TYPE, `Unknown message type: ${message.type}`, { expected: Object.keys(InboundSchemas) }));
+      return false;
+    }
+    const errors = validate(schema, message);
+    if (errors.length) {
+      this.sendToClient(client, errorFrame(ErrorCode.INVALID_MESSAGE, `Invalid ${message.type} message`, { errors }));
+      return false;
+    }
+    return true;
+  }
+
+  async _handleRpc(client, payload) {
+    let response = null;
+    try {
+      response = await this.rpc.handle(payload, { client, paired: client.paired, subject: client.subject, scopes: client.scopes, transport: 'ws' });
+    } catch {}
+    if (response) this.sendToClient(client, response);
+  }
+
+  _checkCommand(client, message) {
+    const requestId = requestIdOf(message);
+    const argsSchema = CommandSchemas[message.action];
+    if (!argsSchema) {
+      this.sendToClient(client, { ...errorFrame(ErrorCode.UNKNOWN_COMMAND, `Unknown command: ${message.action}`, { action: message.action, expected: Object.keys(CommandSchemas) }), requestId });
+      return false;
+    }
+    const required = CommandScopes[message.action];
+    if (!required || !(client.scopes || []).includes(required)) {
+      this.sendToClient(client, { ...errorFrame(ErrorCode.FORBIDDEN, required ? `Missing scope: ${required}` : `Command not available to local clients: ${message.action}`, { action: message.action, required: required || null }), requestId });
+      return false;
+    }
+    const errors = validate(argsSchema, message.args || {}, '$.args');
+    if (errors.length) {
+      this.sendToClient(client, { ...errorFrame(ErrorCode.INVALID_ARGS, `Invalid arguments for ${message.action}`, { action: message.action, errors }), requestId });
+      return false;
+    }
+    return true;
+  }
+
+  // Applies all topics or none: an invalid topic rejects the whole request
+  _handleSubscription(client, message) {
+    if (message.type === 'subscribe' && !this._checkTopics(client, message.topics)) return;
+    for (const topic of message.topics) {
+      if (message.type === 'subscribe') client.topics.add(topic);
+      else client.topics.delete(topic);
+    }
+    this.sendToClient(client, { type: 'subscriptions', topics: Array.from(client.topics) });
+  }
+
+  _checkTopics(client, topics) {
+    const invalid = [];
+    for (const topic of topics) {
+      const reason = checkTopic(topic);
+      if (reason) invalid.push({ topic, reason });
+    }
+    if (!invalid.length) return true;
+    this.sendToClient(client, errorFrame(ErrorCode.INVALID_TOPIC, 'Cannot subscribe to some topics', { topics: invalid }));
+    return false;
+  }
+
+  _handleHello(client, message) {
+    const version = negotiateVersion(message.protocolVersions);
+    if (version === null) {
+      this.sendToClient(client, errorFrame(ErrorCode.UNSUPPORTED_PROTOCOL_VERSION, 'No common protocol version', {
+        offered: message.protocolVersions,
+        supported: SUPPORTED_PROTOCOL_VERSIONS
+      }));
+      try { client.ws.close(UNSUPPORTED_PROTOCOL_CLOSE_CODE, ErrorCode.UNSUPPORTED_PROTOCOL_VERSION); } catch {}
+      return;
+    }
+    client.protocolVersion = version;
+    this.sendToClient(client, {
+      type: 'hello',
+      protocolVersion: version,
+      supportedVersions: SUPPORTED_PROTOCOL_VERSIONS,
+      paired: client.paired,
+      epoch: this.eventBus.epoch,
+      seq: this.eventBus.seq
+    });
+  }
+
+  _handlePair(client, message) {
+    if (client.paired) {
+      this.sendToClient(client, { type: 'pair_result', ok: true, alreadyPaired: true });
+      return;
+    }
+    if (Array.isArray(message.topics) && !this._checkTopics(client, message.topics)) return;
+    const result = this.pairing.verify({ code: message.code, token: message.token, session: message.session });
+    if (!result.ok) {
+      this._rejectClient(client, result.error || 'pairing_failed');
+      return;
+    }
+    clearTimeout(client.pairTimer);
+    client.paired = true;
+    client.pairedAt = Date.now();
+    client.subject = result.subject || null;
+    client.scopes = Array.isArray(result.scopes) ? result.scopes : [];
+    if (Array.isArray(message.topics)) client.topics = new Set(message.topics);
+    if (message.ack === true || client.wantsAck) {
+      client.acks = new AckTracker({
+        ...this.ackOptions,
+        target: `local#${client.id}${client.subject ? `:${client.subject}` : ''}`,
+        send: (frame) => this.sendToClient(client, frame)
+      });
+    }
+    this.sendToClient(client, { type: 'pair_result', ok: true, method: result.method, scopes: client.scopes, topics: Array.from(client.topics), epoch: this.eventBus.epoch, seq: this.eventBus.seq, ack: !!client.acks });
+    const resume = typeof message.lastSeq !== 'undefined' ? { lastSeq: message.lastSeq, epoch: message.epoch } : client.resume;
+    this._replayMissed(client, resume);
+    try { this.eventBus.emitEvent(AppEvent.CLIENT_AND_APP_CONNECTED, { reason: 'ws_connection_established_Local' }); } catch {}
+  }
+
+  _rejectClient(client, reason) {
+    this.sendToClient(client, { type: 'pair_result', ok: false, error: reason });
+    try { client.ws.close(UNAUTHORIZED_CLOSE_CODE, reason); } catch {}
+  }
+
+  sendToClient(client, frame) {
+    if (client.res) return this._writeSse(client, frame);
+    try {
+      if (client.ws.readyState !== 1) return false;
+      client.ws.send(JSON.stringify(frame));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  _writeSse(client, frame) {
+    try {
+      if (client.res.writableEnded) return false;
+      const id = frame.id ? `id: ${frame.id}\n` : '';
+      client.res.write(`${id}data: ${JSON.stringify(frame)}\n\n`);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  getClientSummary() {
+    let paired = 0;
+    let pendingAcks = 0;
+    for (const client of this.clients.values()) {
+      if (client.paired) paired += 1;
+      if (client.acks) pendingAcks += client.acks.pending.size;
+    }
+    for (const detached of this.detachedAcks) {
+      if (detached.tracker.pending.size === 0) this.detachedAcks.delete(detached);
+      else pendingAcks += detached.tracker.pending.size;
+    }
+    return { connected: this.clients.size, paired, pendingAcks, sse: this.sseClients.size };
   }
 
   stop() {
+    if (this.server && this.server.listening) this._removeDiscoveryFile();
+    clearInterval(this._certTimer);
+    this._certTimer = null;
+    clearInterval(this._sseKeepAlive);
+    this._sseKeepAlive = null;
+    clearInterval(this._rejectionTimer);
+    this._rejectionTimer = null;
+    this._pendingRejections = null;
+    for (const client of this.sseClients) {
+      try { client.res.end(); } catch {}
+    }
+    this.sseClients.clear();
     try { if (this.unsubscribe) this.unsubscribe(); } catch {}
     this.unsubscribe = null;
+    for (const client of this.clients.values()) {
+      clearTimeout(client.pairTimer);
+      if (client.acks) client.acks.abandon('server_stopped');
+    }
+    this.clients.clear();
+    for (const detached of this.detachedAcks) detached.tracker.abandon('server_stopped');
+    this.detachedAcks.clear();
     try { if (this.wss) this.wss.clients.forEach(ws => { try { ws.close(); } catch {} }); } catch {}
     try { this.wss && this.wss.close(); } catch {}
     this.wss = null;
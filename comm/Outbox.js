@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./AtomicFile');
+
+// Changes are written to disk at most this often, so draining a long queue does not rewrite
+// the whole file once per frame
+const PERSIST_DELAY_MS = 1000;
+
+// Disk-backed FIFO of outbound frames. Survives app restarts; past maxSize the oldest
+// frames are dropped (and counted) so an unreachable endpoint cannot grow it forever.
+// A crash can lose (or resend) the changes of the last persistDelayMs; flush() writes them now.
+class Outbox {
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.maxSize = Number(options.maxSize) || 1000;
+    this.persistDelayMs = Number.isFinite(options.persistDelayMs) ? options.persistDelayMs : PERSIST_DELAY_MS;
+    this.items = [];
+    this.dropped = 0;
+    this._persistTimer = null;
+    this._load();
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(frame) {
+    this.items.push(frame);
+    while (this.items.length > this.maxSize) {
+      this.items.shift();
+      this.dropped += 1;
+    }
+    this._schedulePersist();
+  }
+
+  peek() {
+    return this.items.length ? this.items[0] : null;
+  }
+
+  shift() {
+    const frame = this.items.shift() || null;
+    this._schedulePersist();
+    return frame;
+  }
+
+  // Writes pending changes immediately (on stop / quit)
+  flush() {
+    if (!this._persistTimer) return;
+    clearTimeout(this._persistTimer);
+    this._persistTimer = null;
+    this._persist();
+  }
+
+  getStatus() {
+    return {
+      size: this.items.length,
+      maxSize: this.maxSize,
+      dropped: this.dropped,
+      oldestTs: this.items.length ? this.items[0].ts || null : null,
+      persistent: !!this.filePath
+    };
+  }
+
+  _load() {
+    if (!this.filePath) return;
+    try {
+      const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.items = Array.isArray(parsed.items) ? parsed.items.slice(-this.maxSize) : [];
+      this.dropped = Number(parsed.dropped) || 0;
+    } catch {}
+  }
+
+  _schedulePersist() {
+    if (!this.filePath || this._persistTimer) return;
+    this._persistTimer = setTimeout(() => {
+      this._persistTimer = null;
+      this._persist();
+    }, this.persistDelayMs);
+    if (this._persistTimer.unref) this._persistTimer.unref();
+  }
+
+  _persist() {
+    if (!this.filePath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      writeFileAtomic(this.filePath, JSON.stringify({ items: this.items, dropped: this.dropped }));
+    } catch {}
+  }
+}
+
+module.exports = { Outbox };
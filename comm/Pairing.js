@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+// Pairing credentials accepted from WebSocket clients before they may receive
+// events or issue commands:
+//  - one-time codes shown in the companion UI and typed into the exam website
+//  - signed tokens minted by the exam backend: base64url(claims).base64url(HMAC-SHA256(claims))
+//    where claims = { sub, exp (seconds), nonce, scope? } and scope (space-separated or array)
+//    picks what the client may call out of tokenScopes; code pairing and tokens without scope
+//    get defaultScopes
+//  - session tokens handed out by createSession() after one of the above succeeded, for
+//    HTTP clients (REST, SSE) that cannot keep a paired socket open
+class PairingManager {
+  constructor(options = {}) {
+    this.secret = options.secret || null;
+    this.codeTtlMs = Number(options.codeTtlMs) || 5 * 60 * 1000;
+    this.maxFailedAttempts = Number(options.maxFailedAttempts) || 5;
+    this.defaultScopes = Array.isArray(options.defaultScopes) ? options.defaultScopes.slice() : [];
+    // Scopes a token may claim; more than defaultScopes when some need the exam backend's signature
+    this.tokenScopes = Array.isArray(options.tokenScopes) ? options.tokenScopes.slice() : this.defaultScopes.slice();
+    this.sessionTtlMs = Number(options.sessionTtlMs) || 12 * 60 * 60 * 1000;
+    this.sessions = new Map(); // token -> { subject, scopes, pairedWith, expiresAt }
+    this.codes = new Map(); // code -> expiresAt
+    this.usedNonces = new Map(); // nonce -> expiresAt (replay protection for tokens)
+    this.failedAttempts = 0;
+  }
+
+  issueCode() {
+    this._prune();
+    let code;
+    do {
+      code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    } while (this.codes.has(code));
+    const expiresAt = Date.now() + this.codeTtlMs;
+    this.codes.set(code, expiresAt);
+    this.failedAttempts = 0;
+    return { code, expiresAt };
+  }
+
+  verify(credentials = {}) {
+    this._prune();
+    const { code, token, session } = credentials || {};
+    let result;
+    if (code) result = this._verifyCode(String(code));
+    else if (token) result = this._verifyToken(String(token));
+    else if (session) result = this.verifySession(String(session));
+    else return { ok: false, error: 'missing_credentials' };
+
+    if (!result.ok) {
+      this.failedAttempts += 1;
+      // Too many wrong guesses: burn every outstanding code so it cannot be brute forced
+      if (this.failedAttempts >= this.maxFailedAttempts) {
+        this.codes.clear();
+        this.failedAttempts = 0;
+      }
+    }
+    return result;
+  }
+
+  // Mints an opaque bearer token carrying the subject and scopes of a successful verify()
+  createSession(result) {
+    this._prune();
+    const sessionToken = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + this.sessionTtlMs;
+    const scopes = Array.isArray(result.scopes) ? result.scopes.slice() : [];
+    this.sessions.set(sessionToken, { subject: result.subject || null, scopes, pairedWith: result.method, expiresAt });
+    return { sessionToken, expiresAt, scopes };
+  }
+
+  verifySession(sessionToken) {
+    const session = this.sessions.get(String(sessionToken || ''));
+    if (!session) return { ok: false, error: 'invalid_session' };
+    if (session.expiresAt <= Date.now()) {
+      this.sessions.delete(sessionToken);
+      return { ok: false, error: 'session_expired' };
+    }
+    return { ok: true, method: 'session', subject: session.subject, scopes: session.scopes.slice() };
+  }
+
+  revokeSession(sessionToken) {
+    return this.sessions.delete(String(sessionToken || ''));
+  }
+
+  _verifyCode(code) {
+    const expiresAt = this.codes.get(code);
+    if (!expiresAt) return { ok: false, error: 'invalid_code' };
+    this.codes.delete(code); // one-time use
+    return { ok: true, method: 'code', subject: null, scopes: this.defaultScopes.slice() };
+  }
+
+  _verifyToken(token) {
+    if (!this.secret) return { ok: false, error: 'token_pairing_disabled' };
+    const parts = token.split('.');
+    if (parts.length !== 2) return { ok: false, error: 'invalid_token' };
+    const expected = crypto.createHmac('sha256', this.secret).update(parts[0]).digest();
+    const given = Buffer.from(parts[1], 'base64url');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return { ok: false, error: 'invalid_token' };
+    }
+    let claims = null;
+    try { claims = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')); } catch {}
+    if (!claims || !claims.nonce || !Number.isFinite(claims.exp)) return { ok: false, error: 'invalid_token' };
+    const expiresAt = claims.exp * 1000;
+    if (expiresAt <= Date.now()) return { ok: false, error: 'token_expired' };
+    const nonce = String(claims.nonce);
+    if (this.usedNonces.has(nonce)) return { ok: false, error: 'token_replayed' };
+    this.usedNonces.set(nonce, expiresAt);
+    return { ok: true, method: 'token', subject: claims.sub ? String(claims.sub) : null, scopes: this._claimScopes(claims.scope) };
+  }
+
+  _claimScopes(scope) {
+    if (typeof scope === 'undefined' || scope === null) return this.defaultScopes.slice();
+    const requested = Array.isArray(scope) ? scope.map(String) : String(scope).split(/\s+/).filter(Boolean);
+    return requested.filter(s => this.tokenScopes.includes(s));
+  }
+
+  _prune() {
+    const now = Date.now();
+    for (const [code, expiresAt] of this.codes) if (expiresAt <= now) this.codes.delete(code);
+    for (const [nonce, expiresAt] of this.usedNonces) if (expiresAt <= now) this.usedNonces.delete(nonce);
+    for (const [sessionToken, session] of this.sessions) if (session.expiresAt <= now) this.sessions.delete(sessionToken);
+  }
+}
+
+module.exports = { PairingManager };
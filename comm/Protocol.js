@@ -0,0 +1,446 @@
+const { AppEvent, Stage, AllowedOutboundEvents } = require('./EventBus');
+
+// Version of the companion WebSocket protocol. Bump it for breaking changes to any schema
+// below and keep the previous number in SUPPORTED_PROTOCOL_VERSIONS while clients migrate.
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_PROTOCOL_VERSIONS = Object.freeze([1]);
+
+// Close code for clients whose hello lists no version this server speaks
+const UNSUPPORTED_PROTOCOL_CLOSE_CODE = 4426;
+
+// Codes carried by { type: 'error', code, message, details } frames and by the error of failed
+// command responses; the last four only ever describe a command that ran
+const ErrorCode = Object.freeze({
+  INVALID_JSON: 'invalid_json',
+  INVALID_MESSAGE: 'invalid_message',
+  UNKNOWN_TYPE: 'unknown_type',
+  UNKNOWN_COMMAND: 'unknown_command',
+  INVALID_ARGS: 'invalid_args',
+  UNSUPPORTED_PROTOCOL_VERSION: 'unsupported_protocol_version',
+  NOT_PAIRED: 'not_paired',
+  INVALID_TOPIC: 'invalid_topic',
+  RATE_LIMITED: 'rate_limited',
+  INVALID_STATE: 'invalid_state',
+  ALREADY_RUNNING: 'already_running',
+  COMMAND_FAILED: 'command_failed',
+  INTERNAL_ERROR: 'internal_error',
+  FORBIDDEN: 'forbidden'
+});
+
+// Topics a client can subscribe to: 'event:<NAME>' / 'event:*' for the allowed outbound events,
+// 'stage:<NAME>' / 'stage:*' for progress stages. New clients start with DEFAULT_TOPICS.
+const TOPIC_PATTERN = '^(event|stage):(\\*|[A-Z0-9_]+)$';
+const DEFAULT_TOPICS = Object.freeze(['event:*']);
+
+// Returns null when the topic may be subscribed to, otherwise the reason it may not
+function checkTopic(topic) {
+  const m = String(topic).match(new RegExp(TOPIC_PATTERN));
+  if (!m) return 'malformed';
+  if (m[1] === 'event' && m[2] !== '*' && !AllowedOutboundEvents.has(m[2])) return 'event_not_forwarded';
+  return null;
+}
+
+function topicMatches(topics, message) {
+  return topics.has(`${message.kind}:*`) || topics.has(`${message.kind}:${message.name}`);
+}
+
+// Permission scopes a paired client may hold; RPC methods and commands declare the one they need
+const RpcScope = Object.freeze({
+  STATUS_READ: 'status:read',
+  CHECKS_RUN: 'checks:run',
+  SCAN_CONTROL: 'scan:control',
+  // Selecting the exam policy; only ever granted by a backend token that asks for it
+  POLICY_WRITE: 'policy:write'
+});
+
+const noArgs = { type: 'object', additionalProperties: false, properties: {} };
+
+// Arguments accepted by each { type: 'command', action, args } message
+const CommandSchemas = {
+  start_stepped_scan: noArgs,
+  retry_step1: noArgs,
+  retry_step2: noArgs,
+  get_scan_status: noArgs,
+  cancel_scan: noArgs,
+  reset_scan: noArgs,
+  get_connection_status: noArgs,
+  get_policy_profile: noArgs,
+  set_policy_profile: {
+    type: 'object',
+    required: ['profile'],
+    additionalProperties: false,
+    properties: { profile: { type: 'string', minLength: 1, maxLength: 64 } }
+  }
+};
+
+// Scope a local client needs for each command, the same as for the equivalent RPC method. A command
+// missing here is refused to every client.
+const CommandScopes = Object.freeze({
+  start_stepped_scan: RpcScope.CHECKS_RUN,
+  retry_step1: RpcScope.CHECKS_RUN,
+  retry_step2: RpcScope.CHECKS_RUN,
+  get_scan_status: RpcScope.STATUS_READ,
+  cancel_scan: RpcScope.SCAN_CONTROL,
+  reset_scan: RpcScope.SCAN_CONTROL,
+  get_connection_status: RpcScope.STATUS_READ,
+  get_policy_profile: RpcScope.STATUS_READ,
+  set_policy_profile: RpcScope.POLICY_WRITE
+});
+
+// Messages a client may send. 'hello' and 'pair' are accepted before pairing, the rest after.
+const InboundSchemas = {
+  hello: {
+    type: 'object',
+    required: ['type', 'protocolVersions'],
+    properties: {
+      type: { const: 'hello' },
+      protocolVersions: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1 } },
+      client: { type: 'string', maxLength: 200 }
+    }
+  },
+  pair: {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { const: 'pair' },
+      code: { type: ['string', 'integer'] },
+      token: { type: 'string', maxLength: 4096 },
+      session: { type: 'string', maxLength: 256 },
+      lastSeq: { type: ['integer', 'string'] },
+      epoch: { type: ['integer', 'string'] },
+      ack: { type: 'boolean' },
+      topics: { type: 'array', items: { type: 'string', pattern: TOPIC_PATTERN } }
+    }
+  },
+  subscribe: {
+    type: 'object',
+    required: ['type', 'topics'],
+    properties: {
+      type: { const: 'subscribe' },
+      topics: { type: 'array', minItems: 1, items: { type: 'string', pattern: TOPIC_PATTERN } }
+    }
+  },
+  unsubscribe: {
+    type: 'object',
+    required: ['type', 'topics'],
+    properties: {
+      type: { const: 'unsubscribe' },
+      topics: { type: 'array', minItems: 1, items: { type: 'string', pattern: TOPIC_PATTERN } }
+    }
+  },
+  ack: {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { const: 'ack' },
+      id: { type: 'string' },
+      ids: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  command: {
+    type: 'object',
+    required: ['type', 'action'],
+    properties: {
+      type: { const: 'command' },
+      action: { type: 'string', minLength: 1 },
+      args: { type: 'object' },
+      requestId: { type: ['string', 'integer'], maxLength: 128 }
+    }
+  }
+};
+
+const flaggedItem = {
+  type: 'object',
+  properties: {
+    pid: { type: 'integer' },
+    name: { type: 'string' },
+    cpu: { type: 'number' },
+    mem: { type: 'number' },
+    command: { type: 'string' }
+  }
+};
+
+// Payloads of the events forwarded to clients. Extra properties are allowed so producers can
+// add detail without a version bump; removing or retyping a listed one is a breaking change.
+const EventSchemas = {
+  [AppEvent.CLIENT_AND_APP_CONNECTED]: {
+    type: 'object',
+    properties: { reason: { type: 'string' } }
+  },
+  [AppEvent.CLIENT_AND_APP_DISCONNECTED]: {
+    type: 'object',
+    properties: { reason: { type: 'string' } }
+  },
+  [AppEvent.DETECTED_UNWANTED_APPS]: {
+    type: 'object',
+    required: ['items'],
+    properties: {
+      items: { type: 'array', items: flaggedItem },
+      summary: { type: 'object' }
+    }
+  },
+  [AppEvent.ACTIVE_NOTIFICATION_SERVICE]: {
+    type: 'object',
+    properties: {
+      scanId: { type: ['integer', 'string'] },
+      reason: { type: 'string' },
+      backgroundAppsWindows: { type: 'array' },
+      system: { type: 'object' }
+    }
+  },
+  [AppEvent.NO_ISSUES_DETECTED]: {
+    type: 'object',
+    properties: {
+      scanId: { type: ['integer', 'string'] },
+      flow: { type: 'string' }
+    }
+  }
+};
+
+// Payloads of stage frames (opt-in via 'stage:*' topics). Stages report progress and are
+// looser than events: only the fields dashboards rely on are pinned down.
+const StageSchemas = {
+  [Stage.SCAN_STARTED]: {
+    type: 'object',
+    properties: { scanId: { type: ['integer', 'string'] }, scanType: { type: 'string' } }
+  },
+  [Stage.SCAN_COMPLETED]: {
+    type: 'object',
+    properties: {
+      scanId: { type: ['integer', 'string'] },
+      scanType: { type: 'string' },
+      ok: { type: 'boolean' },
+      threatCount: { type: 'integer' },
+      signatureVersion: { type: ['integer', 'null'] }
+    }
+  },
+  [Stage.AUTO_SCAN_STARTED]: {
+    type: 'object',
+    properties: { intervalMs: { type: 'integer' } }
+  },
+  [Stage.AUTO_SCAN_RESULT]: {
+    type: 'object',
+    required: ['ok'],
+    properties: {
+      ok: { type: 'boolean' },
+      threatCount: { type: 'integer' },
+      threats: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { type: { type: 'string' }, severity: { type: 'string' }, name: { type: 'string' }, pid: { type: 'integer' } }
+        }
+      },
+      load: { type: 'number' },
+      signatureVersion: { type: ['integer', 'null'] },
+      error: { type: 'string' }
+    }
+  },
+  [Stage.AUTO_SCAN_STOPPED]: { type: 'object' },
+  [Stage.SIGNATURES_LOADED]: {
+    type: 'object',
+    required: ['version'],
+    properties: {
+      version: { type: 'integer' },
+      issuedAt: { type: 'string' },
+      source: { type: 'string' },
+      sha256: { type: 'string' }
+    }
+  },
+  [Stage.SIGNATURES_REJECTED]: {
+    type: 'object',
+    required: ['source', 'error'],
+    properties: {
+      source: { type: 'string' },
+      error: { type: 'string' },
+      activeVersion: { type: ['integer', 'null'] }
+    }
+  },
+  [Stage.SIGNATURES_UPDATED]: {
+    type: 'object',
+    required: ['version', 'diff'],
+    properties: {
+      previousVersion: { type: ['integer', 'null'] },
+      version: { type: 'integer' },
+      diff: { type: 'object' }
+    }
+  },
+  [Stage.POLICY_PROFILE_CHANGED]: {
+    type: 'object',
+    required: ['profile'],
+    properties: {
+      profile: { type: 'string' },
+      previous: { type: ['string', 'null'] },
+      reason: { type: 'string' }
+    }
+  }
+};
+
+// Envelope of every event frame sent to clients
+const EventFrameSchema = {
+  type: 'object',
+  required: ['id', 'kind', 'name', 'payload', 'ts', 'seq'],
+  properties: {
+    id: { type: 'string' },
+    kind: { const: 'event' },
+    name: { type: 'string', enum: Object.keys(EventSchemas) },
+    payload: { type: ['object', 'null'] },
+    ts: { type: 'integer' },
+    seq: { type: 'integer', minimum: 1 },
+    replay: { type: 'boolean' },
+    ackRequired: { type: 'boolean' },
+    attempt: { type: 'integer', minimum: 2 }
+  }
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Validates the subset of JSON Schema used above; returns [{ path, message }], empty when valid
+function validate(schema, value, path = '$') {
+  const errors = [];
+  if (!schema) return errors;
+  if ('const' in schema && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+    return errors;
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (typeof value === 'string') {
+    if (Number.isFinite(schema.minLength) && value.length < schema.minLength) errors.push({ path, message: `must have at least ${schema.minLength} characters` });
+    if (Number.isFinite(schema.maxLength) && value.length > schema.maxLength) errors.push({ path, message: `must have at most ${schema.maxLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ path, message: `must match ${schema.pattern}` });
+  }
+  if (typeof value === 'number') {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+  }
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems) errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    if (schema.items) value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (typeof value[key] === 'undefined') errors.push({ path: `${path}.${key}`, message: 'is required' });
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) errors.push(...validate(properties[key], child, `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+    }
+  }
+  return errors;
+}
+
+// Envelope of stage frames; other stage names (stepped scan steps, connection state) use a free-form payload
+const StageFrameSchema = {
+  ...EventFrameSchema,
+  properties: {
+    ...EventFrameSchema.properties,
+    kind: { const: 'stage' },
+    name: { type: 'string' }
+  }
+};
+
+// Correlation id a client attached to a command; echoed on every frame about it
+function requestIdOf(message) {
+  return message && typeof message.requestId !== 'undefined' ? message.requestId : null;
+}
+
+// Terminal frame of a command that ran. Handlers report failure as { ok: false, code, error };
+// `ok` and `error` are lifted to the frame so clients need not know each result shape.
+function commandResponse(message, result) {
+  const frame = {
+    type: 'command_response',
+    requestId: requestIdOf(message),
+    originalCommand: message.action,
+    ok: !(result && result.ok === false),
+    result,
+    timestamp: Date.now()
+  };
+  if (!frame.ok) frame.error = { code: result.code || ErrorCode.COMMAND_FAILED, message: String(result.error || 'Command failed') };
+  return frame;
+}
+
+// Intermediate frame of a long command; any number may precede its command_response
+function commandProgress(message, progress) {
+  return {
+    type: 'command_progress',
+    requestId: requestIdOf(message),
+    originalCommand: message.action,
+    progress,
+    timestamp: Date.now()
+  };
+}
+
+// Highest version both sides speak, or null
+function negotiateVersion(clientVersions) {
+  const offered = new Set(clientVersions.map(Number));
+  const common = SUPPORTED_PROTOCOL_VERSIONS.filter(v => offered.has(v));
+  return common.length ? Math.max(...common) : null;
+}
+
+function errorFrame(code, message, details) {
+  const frame = { type: 'error', code, message };
+  if (typeof details !== 'undefined') frame.details = details;
+  return frame;
+}
+
+// Published on GET /protocol so integrators can generate clients against the same contract
+function describeProtocol() {
+  return {
+    version: PROTOCOL_VERSION,
+    supportedVersions: SUPPORTED_PROTOCOL_VERSIONS,
+    errorCodes: Object.values(ErrorCode),
+    inbound: InboundSchemas,
+    commands: CommandSchemas,
+    commandScopes: CommandScopes,
+    topics: { pattern: TOPIC_PATTERN, defaults: DEFAULT_TOPICS },
+    eventFrame: EventFrameSchema,
+    events: EventSchemas,
+    stageFrame: StageFrameSchema,
+    stages: StageSchemas
+  };
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  UNSUPPORTED_PROTOCOL_CLOSE_CODE,
+  ErrorCode,
+  DEFAULT_TOPICS,
+  checkTopic,
+  topicMatches,
+  CommandSchemas,
+  CommandScopes,
+  RpcScope,
+  InboundSchemas,
+  EventSchemas,
+  EventFrameSchema,
+  StageSchemas,
+  StageFrameSchema,
+  validate,
+  negotiateVersion,
+  errorFrame,
+  requestIdOf,
+  commandResponse,
+  commandProgress,
+  describeProtocol
+};
@@ -1,93 +1,126 @@
-const { WebSocket } = require('ws');
-const { AppEvent } = require('./EventBus');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { RemoteSink, ConnectionState } = require('./RemoteSink');
 
-class RemoteClient {
+const SINK_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Manages the upstream endpoints (sinks) events are forwarded to, e.g. the exam platform and an
+// analytics collector. Each sink reconnects, filters and queues on its own; one being down never
+// holds up another. The single-endpoint options (endpoint, token, outboxPath, requireAck) still
+// work and configure a sink named 'default'.
+class RemoteClient extends EventEmitter {
   constructor(eventBus, options = {}) {
+    super();
     this.eventBus = eventBus;
-    this.endpoint = options.endpoint || null; // full ws(s):// URL will be provided later
-    this.token = options.token || null;
-    this.ws = null;
-    this.unsubscribe = null;
-    this.reconnectDelayMs = 3000;
-    this._stopped = false;
-  }
-
-  configure({ endpoint, token }) {
-    if (endpoint) this.endpoint = endpoint;
-    if (typeof token !== 'undefined') this.token = token;
-  }
-
-  start() {
-    if (!this.endpoint) return false;
-    this._stopped = false;
-    this._connect();
-    if (!this.unsubscribe) {
-      this.unsubscribe = this.eventBus.subscribe((message) => {
-        this._send(message);
+    this.sinks = new Map(); // name -> RemoteSink
+    // Applied to every sink unless its own config overrides them
+    this.defaults = {
+      reconnect: options.reconnect,
+      heartbeatIntervalMs: options.heartbeatIntervalMs,
+      outboxMaxSize: options.outboxMaxSize,
+      acks: options.acks,
+      // async ({ sink, reason }) => token | { token, expiresAt } for sinks without their own
+      tokenProvider: options.tokenProvider
+    };
+    // Sinks without an outboxPath get <outboxDir>/remote-outbox-<name>.json (memory only when unset)
+    this.outboxDir = options.outboxDir || null;
+    // async (action, args, { onProgress }) => result; offered to sinks that accept commands
+    this.commandHandler = options.commandHandler || null;
+    this.started = false;
+    if (options.endpoint) {
+      this.addSink({
+        name: 'default',
+        endpoint: options.endpoint,
+        token: options.token,
+        outboxPath: options.outboxPath,
+        requireAck: options.requireAck
       });
     }
-    return true;
+    for (const sink of options.sinks || []) this.addSink(sink);
   }
 
-  stop() {
-    this._stopped = true;
-    try { if (this.unsubscribe) this.unsubscribe(); } catch {}
-    this.unsubscribe = null;
-    try { if (this.ws) this.ws.close(); } catch {}
-    this.ws = null;
-    return true;
+  // Single-sink shorthand kept for existing callers; reports the first sink's endpoint
+  get endpoint() {
+    const first = this.sinks.values().next().value;
+    return first ? first.endpoint : null;
   }
 
-  _connect() {
-    if (this._stopped || !this.endpoint) return;
-    try {
-      const headers = this.token ? { Authorization: `Bearer ${this.token}` } : undefined;
-      this.ws = new WebSocket(this.endpoint, { headers });
-    } catch (e) {
-      setTimeout(() => this._connect(), this.reconnectDelayMs);
-      return;
+  // config: { name, endpoint, token, tokenProvider, events, commands, requireAck, outboxPath, ... }.
+  // commands: false keeps a collector from issuing commands to the app.
+  addSink(config = {}) {
+    const name = String(config.name || '');
+    if (!SINK_NAME_PATTERN.test(name)) throw new Error(`Invalid remote sink name: ${JSON.stringify(config.name)}`);
+    if (this.sinks.has(name)) throw new Error(`Remote sink already exists: ${name}`);
+    if (config.endpoint && !/^wss?:\/\//i.test(String(config.endpoint))) throw new Error(`Remote sink ${name} needs a ws:// or wss:// endpoint`);
+    if (typeof config.events !== 'undefined' && config.events !== null && !Array.isArray(config.events)) {
+      throw new Error(`Remote sink ${name}: events must be an array of event names`);
     }
-
-    this.ws.on('open', () => {
-      try { this.eventBus.emitEvent(AppEvent.CLIENT_AND_APP_CONNECTED, { reason: 'remote_ws_open' }); } catch {}
+    const outboxPath = config.outboxPath || (this.outboxDir ? path.join(this.outboxDir, `remote-outbox-${name}.json`) : null);
+    const sink = new RemoteSink(this.eventBus, {
+      reconnect: this.defaults.reconnect,
+      heartbeatIntervalMs: this.defaults.heartbeatIntervalMs,
+      outboxMaxSize: this.defaults.outboxMaxSize,
+      tokenProvider: this.defaults.tokenProvider,
+      ...config,
+      name,
+      outboxPath,
+      acks: { ...(this.defaults.acks || {}), ...(config.acks || {}) },
+      commandHandler: config.commands === false ? null : this.commandHandler
     });
-
-    this.ws.on('close', () => {
-      this.ws = null;
-      try { this.eventBus.emitEvent(AppEvent.CLIENT_AND_APP_DISCONNECTED, { reason: 'remote_ws_close' }); } catch {}
-      if (!this._stopped) setTimeout(() => this._connect(), this.reconnectDelayMs);
-    });
-
-    this.ws.on('error', () => {
-      try { this.ws && this.ws.close(); } catch {}
+    sink.on('state', (change) => {
+      try { this.emit('state', change); } catch {}
     });
+    this.sinks.set(name, sink);
+    if (this.started) sink.start();
+    return sink;
   }
 
-  _send(message) {
-    try {
-      if (!message || message.kind !== 'event') return; // never forward stages
-      // Only send whitelisted events; RemoteClient trusts LocalServer filtering too, but we double-guard here
-      const { AllowedOutboundEvents } = require('./EventBus');
-      if (!AllowedOutboundEvents || !AllowedOutboundEvents.has(String(message.name))) return;
-      if (this.ws && this.ws.readyState === 1) this.ws.send(JSON.stringify({ kind: 'event', name: message.name, payload: message.payload || null, ts: message.ts || Date.now() }));
-    } catch {}
+  removeSink(name) {
+    const sink = this.sinks.get(name);
+    if (!sink) return false;
+    sink.stop();
+    sink.removeAllListeners('state');
+    this.sinks.delete(name);
+    return true;
   }
-}
-
-module.exports = { RemoteClient };
-
-
-
-
-
-
-
-
-
-
 
+  getSink(name) {
+    return this.sinks.get(name) || null;
+  }
 
+  // Retries sinks stopped in auth_failed (all of them, or the named one) with fresh credentials
+  reauthenticate(name = null) {
+    let any = false;
+    for (const sink of this.sinks.values()) {
+      if (name ? sink.name === name : sink.state === ConnectionState.AUTH_FAILED) any = sink.reauthenticate() || any;
+    }
+    return any;
+  }
 
+  // Returns true when at least one sink has an endpoint to connect to
+  start() {
+    this.started = true;
+    let any = false;
+    for (const sink of this.sinks.values()) any = sink.start() || any;
+    return any;
+  }
 
+  stop() {
+    this.started = false;
+    for (const sink of this.sinks.values()) sink.stop();
+    return true;
+  }
 
+  getStatus() {
+    const sinks = {};
+    for (const [name, sink] of this.sinks) sinks[name] = sink.getStatus();
+    const all = Object.values(sinks);
+    return {
+      started: this.started,
+      connected: all.some(s => s.connected),
+      sinks
+    };
+  }
+}
 
+module.exports = { RemoteClient, RemoteSink, ConnectionState };
@@ -0,0 +1,445 @@
+const { EventEmitter } = require('events');
+const { WebSocket } = require('ws');
+const { AppEvent, AllowedOutboundEvents, CriticalEvents } = require('./EventBus');
+const { Outbox } = require('./Outbox');
+const { AckTracker } = require('./AckTracker');
+const { ErrorCode, CommandSchemas, InboundSchemas, validate, errorFrame, requestIdOf, commandResponse, commandProgress } = require('./Protocol');
+
+// open: socket up and answering pings; degraded: a ping went unanswered (likely half-open);
+// auth_failed: the endpoint keeps rejecting our credentials, so reconnecting is paused
+const ConnectionState = Object.freeze({
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  DEGRADED: 'degraded',
+  CLOSED: 'closed',
+  AUTH_FAILED: 'auth_failed'
+});
+
+// Handshake statuses and close codes meaning "your credentials were refused"
+const AUTH_REJECTED_STATUSES = new Set([401, 403]);
+const AUTH_REJECTED_CLOSE_CODES = new Set([4401, 4403]);
+
+const DEFAULT_RECONNECT = Object.freeze({
+  initialDelayMs: 1000,
+  maxDelayMs: 30000,
+  factor: 2,
+  jitter: 0.5 // up to 50% of each delay is randomized so clients do not reconnect in lockstep
+});
+
+function computeBackoffDelay(attempt, policy) {
+  const base = Math.min(policy.maxDelayMs, policy.initialDelayMs * Math.pow(policy.factor, attempt));
+  return Math.round(base * (1 - policy.jitter * Math.random()));
+}
+
+// Expiry (ms) from the `exp` claim of a JWT, or null for opaque tokens
+function jwtExpiry(token) {
+  try {
+    const claims = JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString('utf8'));
+    return Number.isFinite(claims.exp) ? claims.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+// One upstream WebSocket endpoint with its own token, event filter, outbox, reconnect and ack
+// state. RemoteClient owns the set of sinks; a sink can also be used on its own.
+class RemoteSink extends EventEmitter {
+  constructor(eventBus, options = {}) {
+    super();
+    this.eventBus = eventBus;
+    this.name = options.name || 'default';
+    this.endpoint = options.endpoint || null; // full ws(s):// URL will be provided later
+    this.token = options.token || null;
+    // Optional async ({ sink, reason }) => token | { token, expiresAt }. Called before connecting when
+    // there is no token or it expires within refreshBeforeMs, ahead of expiry, and after a rejection.
+    // A provider that is refused should throw an error with `status` 401/403; any other error (e.g.
+    // the token endpoint is unreachable) is retried with the normal reconnect backoff.
+    this.tokenProvider = options.tokenProvider || null;
+    this.tokenExpiresAt = options.tokenExpiresAt || jwtExpiry(this.token);
+    this.refreshBeforeMs = Number.isFinite(options.refreshBeforeMs) ? options.refreshBeforeMs : 60000;
+    // Consecutive rejections tolerated (each followed by a refresh) before giving up with auth_failed
+    this.maxAuthFailures = Number(options.maxAuthFailures) || 3;
+    this.authFailures = 0;
+    this.lastAuthError = null;
+    this._refreshTimer = null;
+    this._refreshing = null;
+    // Events this sink receives; null forwards every allowed outbound event. The list can only
+    // narrow AllowedOutboundEvents, never widen it.
+    this.events = Array.isArray(options.events) ? new Set(options.events) : null;
+    this.ws = null;
+    this.unsubscribe = null;
+    this.reconnectPolicy = { ...DEFAULT_RECONNECT, ...(options.reconnect || {}) };
+    // A ping goes out every interval; one missed pong marks the link degraded, two terminate it
+    this.heartbeatIntervalMs = Number(options.heartbeatIntervalMs) || 15000;
+    this.state = ConnectionState.CLOSED;
+    this.stateSince = Date.now();
+    this.attempt = 0;
+    this.nextRetryAt = null;
+    this.lastPongAt = null;
+    this._reconnectTimer = null;
+    this._heartbeatTimer = null;
+    this._awaitingPong = false;
+    // Whitelisted events are queued here while the endpoint is unreachable and flushed in order on reconnect
+    this.outbox = new Outbox({ filePath: options.outboxPath || null, maxSize: options.outboxMaxSize });
+    this._flushing = false;
+    this._stopped = false;
+    // When the endpoint speaks the ack protocol, critical events are retried until it confirms them by id
+    this.requireAck = !!options.requireAck;
+    this.acks = new AckTracker({
+      ...(options.acks || {}),
+      target: `remote:${this.name}`,
+      send: (frame) => this._sendDirect(frame)
+    });
+    // async (action, args, { onProgress }) => result; commands from the backend are refused when unset
+    this.commandHandler = options.commandHandler || null;
+    this.commandsHandled = 0;
+  }
+
+  // New credentials end an auth_failed pause: the sink reconnects with them right away
+  configure({ endpoint, token, tokenExpiresAt }) {
+    if (endpoint) this.endpoint = endpoint;
+    if (typeof token !== 'undefined') {
+      this.token = token;
+      this.tokenExpiresAt = tokenExpiresAt || jwtExpiry(token);
+      this._scheduleTokenRefresh();
+    }
+    if (this.state === ConnectionState.AUTH_FAILED) this.reauthenticate();
+  }
+
+  // Forgets past rejections, fetches a fresh token (when there is a provider) and reconnects
+  reauthenticate() {
+    this.authFailures = 0;
+    if (this.tokenProvider) this.tokenExpiresAt = 0;
+    if (this._stopped || !this.unsubscribe) return false;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    try { if (this.ws) this.ws.terminate(); } catch {}
+    this.ws = null;
+    this.attempt = 0;
+    this._connect();
+    return true;
+  }
+
+  start() {
+    if (!this.endpoint) return false;
+    this._stopped = false;
+    if (!this.ws && !this._reconnectTimer && !this._refreshing) this._connect();
+    if (!this.unsubscribe) {
+      this.unsubscribe = this.eventBus.subscribe((message) => {
+        this._send(message);
+      });
+    }
+    return true;
+  }
+
+  stop() {
+    this._stopped = true;
+    try { if (this.unsubscribe) this.unsubscribe(); } catch {}
+    this.unsubscribe = null;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    clearTimeout(this._refreshTimer);
+    this._refreshTimer = null;
+    this._stopHeartbeat();
+    try { if (this.ws) this.ws.close(); } catch {}
+    this.ws = null;
+    this.nextRetryAt = null;
+    this.acks.abandon('client_stopped');
+    this.outbox.flush();
+    this._setState(ConnectionState.CLOSED, { reason: 'stopped' });
+    return true;
+  }
+
+  _connect() {
+    this._reconnectTimer = null;
+    this.nextRetryAt = null;
+    if (this._stopped || !this.endpoint) return;
+    this._setState(ConnectionState.CONNECTING, { attempt: this.attempt });
+    if (this._tokenNeedsRefresh()) {
+      this._refreshToken('expiring').then(
+        () => this._openSocket(),
+        (e) => {
+          const error = String(e && e.message ? e.message : e);
+          const status = Number(e && e.status);
+          if (AUTH_REJECTED_STATUSES.has(status)) this._onAuthRejected({ reason: 'token_provider_rejected', status, error });
+          else this._scheduleReconnect(`token provider failed: ${error}`);
+        }
+      );
+      return;
+    }
+    this._openSocket();
+  }
+
+  _openSocket() {
+    if (this._stopped || this.ws) return;
+    let ws;
+    try {
+      const headers = this.token ? { Authorization: `Bearer ${this.token}` } : undefined;
+      ws = new WebSocket(this.endpoint, { headers });
+    } catch (e) {
+      this._scheduleReconnect(String(e));
+      return;
+    }
+    this.ws = ws;
+
+    let opened = false;
+    let rejectedStatus = null;
+    // Without this listener ws only reports "Unexpected server response"; keep the status to tell auth apart
+    ws.on('unexpected-response', (_req, res) => {
+      rejectedStatus = res.statusCode;
+      try { ws.terminate(); } catch {}
+    });
+
+    ws.on('open', () => {
+      opened = true;
+      this.attempt = 0;
+      this._setState(ConnectionState.OPEN);
+      this._startHeartbeat(ws);
+      try { this.eventBus.emitEvent(AppEvent.CLIENT_AND_APP_CONNECTED, { reason: 'remote_ws_open', sink: this.name }); } catch {}
+      this._flushOutbox();
+    });
+
+    ws.on('pong', () => this._markAlive());
+    ws.on('message', (data) => {
+      this._markAlive();
+      this._onMessage(data);
+    });
+
+    ws.on('close', (code) => {
+      if (this.ws === ws) this.ws = null;
+      this._stopHeartbeat();
+      // Failed connection attempts are not disconnects; reporting them would flood the outbox
+      if (opened) {
+        try { this.eventBus.emitEvent(AppEvent.CLIENT_AND_APP_DISCONNECTED, { reason: 'remote_ws_close', sink: this.name }); } catch {}
+      }
+      if (this._stopped) return;
+      if (AUTH_REJECTED_STATUSES.has(rejectedStatus)) this._onAuthRejected({ reason: 'handshake_rejected', status: rejectedStatus });
+      else if (AUTH_REJECTED_CLOSE_CODES.has(code)) this._onAuthRejected({ reason: 'closed_by_server', code });
+      else this._scheduleReconnect(rejectedStatus ? `rejected (${rejectedStatus})` : `closed (${code})`);
+    });
+
+    ws.on('error', () => {
+      try { ws.close(); } catch {}
+    });
+  }
+
+  _tokenNeedsRefresh() {
+    if (!this.tokenProvider) return false;
+    if (!this.token) return true;
+    return this.tokenExpiresAt !== null && Date.now() >= this.tokenExpiresAt - this.refreshBeforeMs;
+  }
+
+  // One provider call at a time; concurrent refreshes share it
+  _refreshToken(reason) {
+    if (this._refreshing) return this._refreshing;
+    this._refreshing = Promise.resolve()
+      .then(() => this.tokenProvider({ sink: this.name, reason }))
+      .then((result) => {
+        const token = result && typeof result === 'object' ? result.token : result;
+        if (!token) throw new Error('token provider returned no token');
+        this.token = String(token);
+        this.tokenExpiresAt = (result && result.expiresAt) || jwtExpiry(this.token);
+        this._scheduleTokenRefresh();
+        return this.token;
+      })
+      .finally(() => { this._refreshing = null; });
+    return this._refreshing;
+  }
+
+  // Refreshes ahead of expiry so the next handshake never presents a stale token; a failure here
+  // is retried by the next connect
+  _scheduleTokenRefresh() {
+    clearTimeout(this._refreshTimer);
+    this._refreshTimer = null;
+    if (!this.tokenProvider || this._stopped || !this.tokenExpiresAt) return;
+    const delay = Math.max(0, this.tokenExpiresAt - this.refreshBeforeMs - Date.now());
+    this._refreshTimer = setTimeout(() => {
+      this._refreshTimer = null;
+      this._refreshToken('scheduled').catch(() => {});
+    }, Math.min(delay, 0x7fffffff));
+  }
+
+  // A rejected token is refreshed and retried with backoff; once maxAuthFailures is reached (or
+  // at the first rejection of a static token) the sink stops in auth_failed until reauthenticate()
+  _onAuthRejected(detail) {
+    this.authFailures += 1;
+    this.lastAuthError = { ...detail, at: Date.now() };
+    if (!this.tokenProvider || this.authFailures >= this.maxAuthFailures) {
+      this._setState(ConnectionState.AUTH_FAILED, { ...detail, failures: this.authFailures });
+      return;
+    }
+    this.tokenExpiresAt = 0; // forces a refresh before the next handshake
+    this._scheduleReconnect(detail.reason);
+  }
+
+  _scheduleReconnect(reason) {
+    if (this._stopped || this._reconnectTimer) return;
+    const delay = computeBackoffDelay(this.attempt, this.reconnectPolicy);
+    this.attempt += 1;
+    this.nextRetryAt = Date.now() + delay;
+    this._setState(ConnectionState.CLOSED, { reason, retryInMs: delay });
+    this._reconnectTimer = setTimeout(() => this._connect(), delay);
+  }
+
+  _startHeartbeat(ws) {
+    this._stopHeartbeat();
+    this._awaitingPong = false;
+    this.lastPongAt = Date.now();
+    this._heartbeatTimer = setInterval(() => {
+      if (this._awaitingPong) {
+        if (this.state === ConnectionState.DEGRADED) {
+          // Second missed pong: the socket is half-open, drop it and reconnect
+          try { ws.terminate(); } catch {}
+          return;
+        }
+        this._setState(ConnectionState.DEGRADED, { reason: 'pong_timeout' });
+      }
+      this._awaitingPong = true;
+      try { ws.ping(); } catch {}
+    }, this.heartbeatIntervalMs);
+  }
+
+  _stopHeartbeat() {
+    clearInterval(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+    this._awaitingPong = false;
+  }
+
+  // Traffic from the server also proves it accepted our credentials (a bare open does not:
+  // some backends accept the handshake and close with 4401 right after)
+  _markAlive() {
+    this.authFailures = 0;
+    this.lastAuthError = null;
+    this._awaitingPong = false;
+    this.lastPongAt = Date.now();
+    if (this.state === ConnectionState.DEGRADED) this._setState(ConnectionState.OPEN, { reason: 'pong_received' });
+  }
+
+  _onMessage(data) {
+    let message = null;
+    try {
+      message = JSON.parse(String(data));
+    } catch (e) {
+      this._sendDirect(errorFrame(ErrorCode.INVALID_JSON, 'Message is not valid JSON', { reason: e.message }));
+      return;
+    }
+    if (!message || typeof message !== 'object') return;
+    if (message.type === 'ack') {
+      const ids = Array.isArray(message.ids) ? message.ids : [message.id];
+      for (const id of ids) this.acks.ack(id);
+      return;
+    }
+    if (message.type === 'command') this._handleCommand(message);
+  }
+
+  // Runs a backend command through the same handler as local clients. Progress and the final
+  // response echo requestId; commands refused before running get an error frame carrying it instead.
+  async _handleCommand(message) {
+    const requestId = requestIdOf(message);
+    const fail = (code, text, details) => this._sendDirect({ ...errorFrame(code, text, details), requestId });
+    const errors = validate(InboundSchemas.command, message);
+    if (errors.length) return fail(ErrorCode.INVALID_MESSAGE, 'Invalid command message', { errors });
+    const argsSchema = CommandSchemas[message.action];
+    if (!argsSchema || !this.commandHandler) {
+      return fail(ErrorCode.UNKNOWN_COMMAND, `Unknown command: ${message.action}`, { action: message.action });
+    }
+    const argErrors = validate(argsSchema, message.args || {}, '$.args');
+    if (argErrors.length) return fail(ErrorCode.INVALID_ARGS, `Invalid arguments for ${message.action}`, { action: message.action, errors: argErrors });
+    const onProgress = (progress) => this._sendDirect(commandProgress(message, progress));
+    let result;
+    try {
+      result = await this.commandHandler(message.action, message.args || {}, { onProgress });
+    } catch (e) {
+      result = { ok: false, code: ErrorCode.INTERNAL_ERROR, error: String(e && e.message ? e.message : e) };
+    }
+    this.commandsHandled += 1;
+    this._sendDirect(commandResponse(message, result));
+  }
+
+  _setState(state, detail = {}) {
+    if (this.state === state && state !== ConnectionState.CLOSED) return;
+    const previous = this.state;
+    this.state = state;
+    this.stateSince = Date.now();
+    const change = { sink: this.name, state, previous, endpoint: this.endpoint, ...detail };
+    try { this.emit('state', change); } catch {}
+    try { this.eventBus.emitTransientStage('REMOTE_CONNECTION_STATE', change); } catch {}
+  }
+
+  _send(message) {
+    try {
+      if (!message || message.kind !== 'event') return; // never forward stages
+      // Only send whitelisted events, narrowed further by this sink's own filter
+      if (!AllowedOutboundEvents.has(String(message.name))) return;
+      if (this.events && !this.events.has(String(message.name))) return;
+      const frame = { id: message.id, kind: 'event', name: message.name, payload: message.payload || null, ts: message.ts || Date.now(), seq: message.seq };
+      if (this.requireAck && CriticalEvents.has(frame.name)) frame.ackRequired = true;
+      // Every frame goes through the outbox, which sends one at a time and only drops a frame once
+      // the socket accepted it: a failed send is retried first, so events always arrive in order
+      this.outbox.push(frame);
+      this._flushOutbox();
+    } catch {}
+  }
+
+  // Used for ack retries: they go out only on a live socket and never re-enter the outbox
+  _sendDirect(frame) {
+    if (!this._isOpen()) return false;
+    try {
+      this.ws.send(JSON.stringify(frame));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  _isOpen() {
+    return !!(this.ws && this.ws.readyState === 1);
+  }
+
+  // Sends queued frames one at a time; a frame leaves the outbox only once the socket accepted it
+  _flushOutbox() {
+    if (this._flushing || !this._isOpen()) return;
+    const next = this.outbox.peek();
+    if (!next) return;
+    this._flushing = true;
+    try {
+      this.ws.send(JSON.stringify(next), (err) => {
+        this._flushing = false;
+        if (err) return;
+        this.outbox.shift();
+        if (next.ackRequired) this.acks.track(next);
+        this._flushOutbox();
+      });
+    } catch {
+      this._flushing = false;
+    }
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      endpoint: this.endpoint,
+      events: this.events ? Array.from(this.events) : null,
+      started: !this._stopped && !!this.unsubscribe,
+      connected: this._isOpen(),
+      state: this.state,
+      stateSince: this.stateSince,
+      attempt: this.attempt,
+      nextRetryAt: this.nextRetryAt,
+      lastPongAt: this.lastPongAt,
+      outbox: this.outbox.getStatus(),
+      acks: { required: this.requireAck, ...this.acks.getStatus() },
+      commandsHandled: this.commandsHandled,
+      acceptsCommands: !!this.commandHandler,
+      auth: {
+        hasToken: !!this.token,
+        refreshable: !!this.tokenProvider,
+        expiresAt: this.tokenExpiresAt,
+        failures: this.authFailures,
+        lastError: this.lastAuthError
+      }
+    };
+  }
+}
+
+module.exports = { RemoteSink, ConnectionState };
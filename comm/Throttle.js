@@ -0,0 +1,57 @@
+// Token bucket: holds up to `capacity` tokens and refills `refillPerSec` per second.
+// Each accepted unit of work takes tokens; an empty bucket means the caller is over its rate.
+class TokenBucket {
+  constructor(options = {}) {
+    this.capacity = Number(options.capacity) || 10;
+    this.refillPerSec = Number(options.refillPerSec) || 1;
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+  }
+
+  take(count = 1) {
+    this._refill();
+    if (this.tokens < count) return false;
+    this.tokens -= count;
+    return true;
+  }
+
+  // Milliseconds until `count` tokens are available again
+  retryAfterMs(count = 1) {
+    this._refill();
+    if (this.tokens >= count) return 0;
+    return Math.ceil(((count - this.tokens) / this.refillPerSec) * 1000);
+  }
+
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.refillPerSec);
+    this.updatedAt = now;
+  }
+}
+
+// Collapses concurrent calls with the same key into one execution; every caller gets its result
+class SingleFlight {
+  constructor() {
+    this.inFlight = new Map(); // key -> Promise
+  }
+
+  run(key, fn) {
+    const existing = this.inFlight.get(key);
+    if (existing) return existing;
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  isRunning(key) {
+    return this.inFlight.has(key);
+  }
+
+  keys() {
+    return Array.from(this.inFlight.keys());
+  }
+}
+
+module.exports = { TokenBucket, SingleFlight };
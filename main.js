@@ -26,6 +26,7 @@ const path = require("path");                              // File system path u
 const os = require("os");                                  // Operating system information
 const si = require("systeminformation");                   // System information gathering
 const fs = require("fs");                                  // File system operations
+const crypto = require("crypto");                          // Random secrets and hashing
 const { exec } = require("child_process");                 // Execute system commands
 
 // ============================================================================
@@ -34,12 +35,22 @@ const { exec } = require("child_process");                 // Execute system com
 const SecurityService = require("./security/SecurityService");     // Core security scanning
 const ExamModeService = require("./security/ExamModeService");     // Exam-specific security checks
 const NotificationService = require("./security/NotificationService"); // DND/notification monitoring
+const SignatureStore = require("./security/SignatureStore");       // Signed malicious signature bundles
+const SignatureUpdater = require("./security/SignatureUpdater");   // Pulls newer bundles from the update channel
+const DomainResolver = require("./security/DomainResolver");       // Resolves signature domains for connection matching
+const PolicyProfile = require("./security/PolicyProfile");         // Per-exam allow/deny/severity profiles
 
 // ============================================================================
 // COMMUNICATION LAYER
 // ============================================================================
-const { EventBus, AppEvent } = require("./comm/EventBus");         // Event-driven communication
+const { EventBus, AppEvent, Stage } = require("./comm/EventBus");         // Event-driven communication
 const { LocalServer } = require("./comm/LocalServer");             // WebSocket server for external communication
+const { PairingManager } = require("./comm/Pairing");               // Pairing codes/tokens for WebSocket clients
+const { RemoteClient } = require("./comm/RemoteClient");           // Upstream WebSocket to the remote exam backend
+const { JsonRpcRouter, RpcError, RpcErrorCode, RpcScope, ALL_SCOPES } = require("./comm/JsonRpc"); // JSON-RPC 2.0 methods over the WebSocket
+const { CertificateManager } = require("./comm/Certificates");     // Self-signed certificate for wss://
+const { SingleFlight } = require("./comm/Throttle");               // Collapses concurrent runs of heavy commands
+const { ErrorCode, commandResponse, commandProgress } = require("./comm/Protocol"); // Command response frames
 
 // ============================================================================
 // SERVICE INSTANCES INITIALIZATION
@@ -318,78 +329,354 @@ function analyzeNotificationThreatsFromAudit(auditResult) {
 
 /**
  * Enhanced LocalServer that extends the base LocalServer with command handling capabilities
- * Allows external clients to send commands via WebSocket to control scanning operations
+ * Allows paired external clients to send commands via WebSocket to control scanning operations
+ * (pairing itself is enforced by LocalServer before messages reach this handler)
  */
+// Scans shell out heavily through SecurityService: concurrent requests for the same
+// operation (from any client or channel) join the run in progress instead of starting another
+const commandFlights = new SingleFlight();
+
+/**
+ * Execute a companion command
+ * Shared by local WebSocket clients (LoggingLocalServer) and the remote
+ * backend (RemoteClient), so both channels accept the same actions
+ *
+ * Failed results are { ok: false, code, error } with a code from ErrorCode
+ *
+ * @param {string} action - Command name (see CommandSchemas in comm/Protocol.js)
+ * @param {Object} [options]
+ * @param {Object} [options.args] - Command arguments, already validated against its schema
+ * @param {Function} [options.onProgress] - Receives stepped scan progress while the command runs
+ * @returns {Promise<Object>} Command result
+ */
+async function executeCommand(action, options = {}) {
+  // Route commands to appropriate stepped scan manager methods
+  switch (action) {
+    case "start_stepped_scan":
+      return runScanCommand("startSteppedScan", () => steppedScanManager.startSteppedScan(), options);
+    case "retry_step1":
+      return runScanCommand("retryStep1", () => steppedScanManager.retryStep1(), options);
+    case "retry_step2":
+      return runScanCommand("retryStep2", () => steppedScanManager.retryStep2(), options);
+    case "get_scan_status":
+      return steppedScanManager.getScanStatus();
+    case "cancel_scan":
+      return steppedScanManager.cancelScan();
+    case "reset_scan":
+      return steppedScanManager.resetScan();
+    case "get_connection_status":
+      return {
+        ok: true,
+        remote: remoteClient.getStatus(),
+        local: localServer.getClientSummary(),
+      };
+    case "get_policy_profile":
+      return getPolicyProfiles();
+    case "set_policy_profile":
+      return applyPolicyProfile((options.args || {}).profile, "command");
+    default:
+      return {
+        ok: false,
+        code: ErrorCode.UNKNOWN_COMMAND,
+        error: `Unknown command: ${action}`,
+      };
+  }
+}
+
+/**
+ * Run a scan command single-flight, forwarding scan progress to the caller
+ * Callers that join a run in progress receive its remaining progress
+ *
+ * @param {string} key - SingleFlight key
+ * @param {Function} run - Starts the scan
+ * @param {Object} options - { onProgress }
+ * @returns {Promise<Object>} Scan result
+ */
+async function runScanCommand(key, run, options) {
+  const unsubscribe = options.onProgress ? steppedScanManager.onProgress(options.onProgress) : null;
+  try {
+    return await commandFlights.run(key, run);
+  } finally {
+    if (unsubscribe) unsubscribe();
+  }
+}
+
 class LoggingLocalServer extends LocalServer {
-  start() {
-    const port = super.start();
-    
-    // Handle incoming WebSocket command messages from external clients
-    if (this.wss) {
-      this.wss.on("connection", (ws) => {
-        ws.on("message", async (data) => {
-          try {
-            const message = JSON.parse(String(data || ""));
-            
-            // Process command messages from external clients
-            if (message && message.type === "command") {
-              let response = null;
-              
-              // Route commands to appropriate stepped scan manager methods
-              switch (message.action) {
-                case "start_stepped_scan":
-                  response = await steppedScanManager.startSteppedScan();
-                  break;
-                case "retry_step1":
-                  response = await steppedScanManager.retryStep1();
-                  break;
-                case "retry_step2":
-                  response = await steppedScanManager.retryStep2();
-                  break;
-                case "get_scan_status":
-                  response = steppedScanManager.getScanStatus();
-                  break;
-                case "cancel_scan":
-                  response = steppedScanManager.cancelScan();
-                  break;
-                case "reset_scan":
-                  response = steppedScanManager.resetScan();
-                  break;
-                default:
-                  response = { 
-                    ok: false,
-                    error: `Unknown command: ${message.action}`,
-                  };
-              }
-              
-              // Send response back to the client
-              if (response) {
-                ws.send(
-                  JSON.stringify({
-                    type: "command_response",
-                  originalCommand: message.action,
-                  result: response,
-                    timestamp: Date.now(),
-                  })
-                );
-              }
-            }
-          } catch {}
-        });
-      });
+  async handleClientMessage(client, message) {
+    // Process command messages from external clients
+    if (message && message.type === "command") {
+      const onProgress = (progress) => this.sendToClient(client, commandProgress(message, progress));
+      let response;
+      try {
+        response = await executeCommand(message.action, { args: message.args || {}, onProgress });
+      } catch (e) {
+        response = { ok: false, code: ErrorCode.INTERNAL_ERROR, error: String(e && e.message ? e.message : e) };
+      }
+
+      // Send the terminal response back to the client, correlated by requestId
+      this.sendToClient(client, commandResponse(message, response));
+    }
+  }
+
+  /**
+   * Serve the read-only REST resources (GET /status, /report, /connection)
+   * @param {string} name - Resource name
+   * @param {Object} context - Authenticated session ({ subject, scopes })
+   * @returns {Promise<Object|null>} Resource body, or null when not available
+   */
+  async readResource(name, context) {
+    switch (name) {
+      case "status":
+        return steppedScanManager.getScanStatus();
+      case "report":
+        return steppedScanManager.lastReport;
+      case "connection":
+        return {
+          ...(await super.readResource(name, context)),
+          remote: remoteClient.getStatus(),
+        };
+      default:
+        return null;
     }
-    return port;
   }
 }
 
+// ============================================================================
+// APP CONFIGURATION
+// ============================================================================
+// Optional <userData>/config.json; missing keys fall back to the defaults below
+// and environment variables (TOPIN_PORT, TOPIN_TLS, TOPIN_ALLOWED_ORIGINS, TOPIN_REMOTE_*,
+// TOPIN_SIGNATURES_URL) override the file.
+const DEFAULT_CONFIG = {
+  localServer: {
+    port: 8080,
+    // Tried in order when the preferred port is taken (another dev server, second instance)
+    fallbackPorts: [8081, 8082, 8083, 8084, 8085, 8086, 8087, 8088, 8089],
+    // Serve wss:// with a per-installation self-signed certificate (plain ws:// when false)
+    tls: false,
+    // Browser origins that may open the socket or call HTTP routes ('*' wildcards allowed), e.g.
+    // "https://exam.example.com"; with none, only pages without an Origin header get through
+    allowedOrigins: [],
+  },
+  signatures: {
+    // Signed bundle update channel (http(s):// or file:// mirror; the .sig sits at <url>.sig); off when null
+    updateUrl: null,
+    checkIntervalMs: 6 * 60 * 60 * 1000,
+  },
+  remote: {
+    // Upstream endpoints events are forwarded to, each { name, endpoint, token | tokenEnv |
+    // tokenUrl, events, commands, requireAck }; see remoteSinkConfigs()
+    sinks: [],
+  },
+};
+
+/**
+ * Load app configuration from the user profile merged over DEFAULT_CONFIG
+ * An unreadable or malformed file is ignored so the app still starts
+ *
+ * @returns {Object} Effective configuration
+ */
+function loadAppConfig() {
+  let fileConfig = {};
+  try {
+    const raw = fs.readFileSync(path.join(app.getPath("userData"), "config.json"), "utf8");
+    fileConfig = JSON.parse(raw) || {};
+  } catch {}
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...fileConfig,
+    localServer: { ...DEFAULT_CONFIG.localServer, ...(fileConfig.localServer || {}) },
+    signatures: { ...DEFAULT_CONFIG.signatures, ...(fileConfig.signatures || {}) },
+    remote: { ...DEFAULT_CONFIG.remote, ...(fileConfig.remote || {}) },
+  };
+  const envPort = Number(process.env.TOPIN_PORT);
+  if (Number.isInteger(envPort) && envPort > 0) config.localServer.port = envPort;
+  if (process.env.TOPIN_TLS === "1") config.localServer.tls = true;
+  if (process.env.TOPIN_TLS === "0") config.localServer.tls = false;
+  if (process.env.TOPIN_ALLOWED_ORIGINS) {
+    config.localServer.allowedOrigins = process.env.TOPIN_ALLOWED_ORIGINS.split(",");
+  }
+  if (process.env.TOPIN_SIGNATURES_URL) config.signatures.updateUrl = process.env.TOPIN_SIGNATURES_URL;
+  return config;
+}
+
+const appConfig = loadAppConfig();
+
 // ============================================================================
 // WEBSOCKET SERVER INITIALIZATION
 // ============================================================================
 // Initialize enhanced LocalServer with command handling capabilities
 // This server accepts connections from TOPIN website and other external clients
+// Clients must pair first: either with a one-time code shown in the companion UI,
+// or with a token signed by the exam backend using TOPIN_PAIRING_SECRET
+const pairingManager = new PairingManager({
+  secret: process.env.TOPIN_PAIRING_SECRET || null,
+  // Anyone who can read the code on screen can pair, so code pairing (and tokens without a
+  // `scope` claim) only gets to read status and run checks. Controlling the scan and selecting
+  // the exam policy need a backend token that claims those scopes.
+  defaultScopes: [RpcScope.STATUS_READ, RpcScope.CHECKS_RUN],
+  tokenScopes: ALL_SCOPES,
+});
+
+// JSON-RPC 2.0 methods exposed on /ws; registered in the JSON-RPC METHODS section below
+const rpcRouter = new JsonRpcRouter();
+
+// Only these browser origins may open the socket or call HTTP routes (localServer.allowedOrigins
+// or TOPIN_ALLOWED_ORIGINS). Local dev servers are always allowed in unpackaged builds.
+const allowedOrigins = (Array.isArray(appConfig.localServer.allowedOrigins) ? appConfig.localServer.allowedOrigins : [])
+  .map((o) => String(o).trim())
+  .filter(Boolean);
+if (allowedOrigins.length === 0 && app.isPackaged) {
+  console.warn("⚠️ No allowed origins configured (localServer.allowedOrigins); exam pages will be refused by the local server");
+}
+if (!app.isPackaged) {
+  allowedOrigins.push("http://localhost:*", "http://127.0.0.1:*");
+}
+
+/**
+ * Loads the local admin secret that gates POST /emit, creating it on first run
+ * Stored in the user profile so it is never shipped inside the app bundle
+ *
+ * @returns {string|null} Admin secret, or null when the profile is not writable
+ */
+function loadAdminSecret() {
+  const secretPath = path.join(app.getPath("userData"), "admin-secret");
+  try {
+    const existing = fs.readFileSync(secretPath, "utf8").trim();
+    if (existing) return existing;
+  } catch {}
+  try {
+    const secret = crypto.randomBytes(32).toString("hex");
+    fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+    fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+    return secret;
+  } catch {
+    return null;
+  }
+}
+
+// Critical events a receiver failed to acknowledge before the deadline are appended here
+const deliveryFailureLogPath = path.join(app.getPath("userData"), "delivery-failures.log");
+
 const localServer = new LoggingLocalServer(eventBus, {
-  port: 8080, // WebSocket server on port 8080
+  port: appConfig.localServer.port, // 8080 unless configured
+  fallbackPorts: appConfig.localServer.fallbackPorts,
   host: "127.0.0.1",  // Localhost only for security
+  // The exam site (or a launcher) reads the bound port from here; see also GET /health
+  discoveryFile: path.join(app.getPath("userData"), "local-server.json"),
+  pairing: pairingManager,
+  rpc: rpcRouter,
+  allowedOrigins,
+  emitRoute: {
+    adminSecret: loadAdminSecret(),
+    // Only unpackaged (debug) builds may inject scanner events; env flags are student-controlled
+    allowReserved: !app.isPackaged,
+  },
+  acks: { retryIntervalMs: 5000, deadlineMs: 60000, failureLogPath: deliveryFailureLogPath },
+  // Certificate lives in the user profile, is renewed 30 days before expiry, and its
+  // SHA-256 fingerprint is published on /health so the exam site can pin it
+  tls: appConfig.localServer.tls
+    ? {
+        certificates: new CertificateManager({
+          dir: path.join(app.getPath("userData"), "tls"),
+          validityDays: 365,
+          renewBeforeDays: 30,
+        }),
+      }
+    : null,
+});
+
+// ============================================================================
+// REMOTE CLIENT INITIALIZATION
+// ============================================================================
+/**
+ * Fetch a short-lived token for a remote sink from its `tokenUrl`
+ * The request is authenticated with the long-lived credential in the environment
+ * variable named by `refreshTokenEnv`; the endpoint answers { token, expiresAt }
+ * (epoch ms) or { token, expiresIn } (seconds)
+ *
+ * @param {Object} sinkConfig - Sink entry from config.remote.sinks
+ * @param {string} reason - Why the sink asks ("expiring", "scheduled")
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+async function fetchSinkToken(sinkConfig, reason) {
+  const credential = sinkConfig.refreshTokenEnv ? process.env[sinkConfig.refreshTokenEnv] : null;
+  const res = await fetch(sinkConfig.tokenUrl, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(credential ? { Authorization: `Bearer ${credential}` } : {}),
+    },
+    body: JSON.stringify({ sink: sinkConfig.name, reason }),
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!res.ok) {
+    // 401/403 mean the refresh credential was refused; RemoteSink counts only those as auth failures
+    throw Object.assign(new Error(`token endpoint answered ${res.status}`), { status: res.status });
+  }
+  const body = await res.json();
+  const expiresAt = body.expiresAt || (body.expiresIn ? Date.now() + body.expiresIn * 1000 : null);
+  return { token: body.token, expiresAt };
+}
+
+/**
+ * Resolve the remote sinks from config.remote.sinks and the environment
+ * TOPIN_REMOTE_ENDPOINT / TOPIN_REMOTE_TOKEN / TOPIN_REMOTE_REQUIRE_ACK configure the
+ * "platform" sink (the exam backend), overriding a file entry of that name. A sink's
+ * token may come from the environment variable named by `tokenEnv` so the file holds no secrets,
+ * or be fetched (and refreshed before it expires) from `tokenUrl`.
+ *
+ * @param {Object} config - Effective app configuration
+ * @returns {Array<Object>} Sink configs for RemoteClient.addSink()
+ */
+function remoteSinkConfigs(config) {
+  const sinks = (Array.isArray(config.remote.sinks) ? config.remote.sinks : [])
+    .filter((sink) => sink && typeof sink === "object")
+    .map((sink) => {
+      const { tokenEnv, tokenUrl, refreshTokenEnv, ...rest } = sink;
+      if (tokenUrl) return { ...rest, tokenProvider: ({ reason }) => fetchSinkToken(sink, reason) };
+      return tokenEnv ? { ...rest, token: process.env[tokenEnv] || null } : { ...rest };
+    });
+  if (process.env.TOPIN_REMOTE_ENDPOINT) {
+    const existing = sinks.find((sink) => sink.name === "platform");
+    const platform = existing || { name: "platform" };
+    platform.endpoint = process.env.TOPIN_REMOTE_ENDPOINT;
+    if (process.env.TOPIN_REMOTE_TOKEN) platform.token = process.env.TOPIN_REMOTE_TOKEN;
+    if (process.env.TOPIN_REMOTE_REQUIRE_ACK === "1") platform.requireAck = true;
+    if (!existing) sinks.unshift(platform);
+  }
+  // The platform sink keeps the outbox file used before sinks existed
+  for (const sink of sinks) {
+    if (sink.name === "platform" && !sink.outboxPath) {
+      sink.outboxPath = path.join(app.getPath("userData"), "remote-outbox.json");
+    }
+  }
+  return sinks;
+}
+
+// Optional upstream connections (the exam platform, analytics collectors, ...). Each sink
+// has its own token, event allowlist and disk-backed outbox in the user profile, and
+// reconnects on its own; queued events are flushed in order once its endpoint is back.
+const remoteClient = new RemoteClient(eventBus, {
+  outboxDir: app.getPath("userData"),
+  outboxMaxSize: 1000,
+  // Backends may issue the same commands as local clients (e.g. a proctor re-check)
+  // unless their sink sets `commands: false`
+  commandHandler: (action, args, options) => executeCommand(action, { ...options, args }),
+  acks: { retryIntervalMs: 5000, deadlineMs: 60000, failureLogPath: deliveryFailureLogPath },
+});
+for (const sinkConfig of remoteSinkConfigs(appConfig)) {
+  try {
+    remoteClient.addSink(sinkConfig);
+  } catch (error) {
+    console.error("❌ Ignoring remote sink:", error.message);
+  }
+}
+// A sink in auth_failed no longer retries on its own; new credentials or a restart resume it
+remoteClient.on("state", (change) => {
+  if (change.state === "auth_failed") {
+    console.error(`❌ Remote sink "${change.sink}" rejected our credentials (${change.reason}); reconnecting paused`);
+  }
 });
 
 // ============================================================================
@@ -441,7 +728,7 @@ function createWindow() {
  * Main application startup sequence that initializes all components
  * Sets up logging, creates main window, starts WebSocket server, and begins monitoring
  */
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
   // ============================================================================
   // LOGGING CONFIGURATION
   // ============================================================================
@@ -465,22 +752,38 @@ app.whenReady().then(() => {
   // ============================================================================
   // Start WebSocket server to accept incoming connections from TOPIN website
   try {
-    const serverPort = localServer.start();
+    const serverPort = await localServer.start();
     if (serverPort) {
       console.log(
-        `✅ WebSocket server started on ws://localhost:${serverPort}/ws`
+        `✅ WebSocket server started on ${localServer.getEndpoint()}`
       );
       console.log(
-        `   Connect from Postman to: ws://localhost:${serverPort}/ws`
+        `   Connect from Postman to: ${localServer.getEndpoint()}`
       );
       console.log(`   Waiting for incoming WebSocket connections...`);
     } else {
-      console.error("❌ Failed to start WebSocket server");
+      console.error("❌ Failed to start WebSocket server:", JSON.stringify(localServer.bindError));
     }
   } catch (error) {
     console.error("❌ Error starting WebSocket server:", error);
   }
 
+  // Connect upstream when a remote endpoint is configured
+  try {
+    if (remoteClient.start()) {
+      for (const sink of remoteClient.sinks.values()) {
+        if (sink.endpoint) console.log(`✅ Remote sink "${sink.name}" connecting to ${sink.endpoint}`);
+      }
+    }
+  } catch (error) {
+    console.error("❌ Error starting remote client:", error);
+  }
+
+  // Poll the signature update channel when one is configured
+  if (signatureUpdater.start()) {
+    console.log(`✅ Checking for signature updates at ${signatureUpdater.url}`);
+  }
+
   // ============================================================================
   // APPLICATION EVENT HANDLERS
   // ============================================================================
@@ -514,6 +817,7 @@ app.on("window-all-closed", () => {
   if (process.platform !== "darwin") {
     // Clean up WebSocket server before quitting
     localServer.stop();
+    remoteClient.stop();
     app.quit();
   }
 });
@@ -525,6 +829,8 @@ app.on("window-all-closed", () => {
 app.on("before-quit", () => {
   // Ensure WebSocket server is closed
   localServer.stop();
+  remoteClient.stop();
+  signatureUpdater.stop();
 });
 
 // ============================================================================
@@ -535,6 +841,7 @@ app.on("before-quit", () => {
 /**
  * Global malicious signatures store for security threat detection
  * Contains patterns for processes, ports, domains, and packages that are considered threats
+ * Always the contents of the active, signature-verified bundle (see SignatureStore)
  */
 let maliciousSignatures = {
   processNames: [],  // Malicious process names to detect
@@ -544,44 +851,183 @@ let maliciousSignatures = {
 };
 
 // Determine path to malicious signatures file (development vs production)
+// The detached Ed25519 signature sits next to it as malicious.json.sig
 const signaturesPath = app.isPackaged
   ? path.join(process.resourcesPath, "data", "malicious.json")
   : path.join(__dirname, "data", "malicious.json");
 
+// Verifies bundles against the embedded public key and keeps the last known-good one in the
+// user profile. Unpackaged builds may point TOPIN_SIGNATURES_PUBLIC_KEY at a development key.
+const signatureStore = new SignatureStore({
+  bundlePath: signaturesPath,
+  stateDir: path.join(app.getPath("userData"), "signatures"),
+  publicKey: !app.isPackaged && process.env.TOPIN_SIGNATURES_PUBLIC_KEY
+    ? fs.readFileSync(process.env.TOPIN_SIGNATURES_PUBLIC_KEY, "utf8")
+    : undefined,
+});
+
 /**
- * Loads malicious signatures from JSON file
- * Normalizes data formats and handles loading errors gracefully
+ * Loads the newest verified signature bundle
+ * Unsigned, tampered or older bundles are rejected and the active (or last
+ * known-good) bundle stays in use; rejections are logged and reported as stages
  */
 function loadSignatures() {
+  const changed = signatureStore.load();
+  activateSignatures();
+  const info = signatureStore.getInfo();
+  if (info.lastError) {
+    console.warn(`⚠️ Rejected ${info.lastError.source} signature bundle: ${info.lastError.error}`);
+    try { eventBus.emitStage(Stage.SIGNATURES_REJECTED, { ...info.lastError, activeVersion: info.version }); } catch {}
+  }
+  if (changed) {
+    console.log(`✅ Signature bundle v${info.version} (${info.issuedAt}) active from ${info.source}`);
+    try { eventBus.emitStage(Stage.SIGNATURES_LOADED, info); } catch {}
+  } else if (!info.verified) {
+    console.error("❌ No verified signature bundle available; signature checks are disabled and heuristic checks use the built-in lists");
+  }
+}
+
+/**
+ * Make the store's active bundle the one every scan uses
+ * A running auto-scan worker is handed the new lists in place, without a restart
+ */
+function activateSignatures() {
+  maliciousSignatures = signatureStore.getSignatures();
+  securityService.applyDetection(maliciousSignatures.detection);
+  examModeService.applyDetection(maliciousSignatures.detection);
+  // Resolve domain signatures now so the first scan can match connections by IP
+  DomainResolver.shared.prefetch(maliciousSignatures.domains).catch(() => {});
+  applyPolicyProfile(activePolicy.name, "bundle");
+  postWorkerSignatures();
+}
+
+/**
+ * Hand the running auto-scan worker the current lists and policy profile
+ */
+function postWorkerSignatures() {
+  if (!autoScanWorker) return;
   try {
-    const raw = fs.readFileSync(signaturesPath, "utf8");
-    const parsed = JSON.parse(raw);
-    maliciousSignatures = {
-      processNames: (parsed.processNames || []).map((s) =>
-        String(s).toLowerCase()  // Normalize to lowercase for case-insensitive matching
-      ),
-      ports: (parsed.ports || []).map((p) => String(p)),
-      domains: (parsed.domains || []).map((d) => String(d).toLowerCase()),
-      packages: parsed.packages || [],
-    };
+    autoScanWorker.postMessage({
+      type: "signatures",
+      signatures: scanSignatures(),
+      signatureVersion: signatureStore.getInfo().version,
+    });
+  } catch {}
+}
+
+// ============================================================================
+// EXAM POLICY PROFILES
+// ============================================================================
+// Named profiles from the bundle (signatures.profiles) adjust what every check
+// flags for the current exam. The exam website picks one over the socket
+// (set_policy_profile / setPolicyProfile); "default" changes nothing.
+let activePolicy = new PolicyProfile(PolicyProfile.DEFAULT_NAME);
+
+/**
+ * Select a policy profile from the active bundle and apply it to all checks
+ * A profile that no longer exists after a bundle update falls back to "default"
+ *
+ * @param {string} name - Profile name
+ * @param {string} reason - Why it changed ("command", "bundle", ...), reported with the stage
+ * @returns {Object} { ok, profile, previous } or { ok: false, code, error }
+ */
+function applyPolicyProfile(name, reason) {
+  const previous = activePolicy.name;
+  let profile;
+  try {
+    profile = PolicyProfile.select(maliciousSignatures.profiles, name);
   } catch (e) {
-    // Fallback to empty signatures if loading fails
-    maliciousSignatures = {
-      processNames: [],
-      ports: [],
-      domains: [],
-      packages: [],
-    };
+    profile = null;
+  }
+  if (!profile) {
+    if (reason !== "bundle") {
+      return {
+        ok: false,
+        code: ErrorCode.INVALID_ARGS,
+        error: `Unknown policy profile: ${name}`,
+        available: PolicyProfile.names(maliciousSignatures.profiles),
+      };
+    }
+    console.warn(`⚠️ Policy profile "${name}" is not in the new bundle; using "default"`);
+    profile = new PolicyProfile(PolicyProfile.DEFAULT_NAME);
+  }
+  activePolicy = profile;
+  securityService.setPolicy(profile);
+  examModeService.setPolicy(profile);
+  if (reason !== "bundle") postWorkerSignatures();
+  if (profile.name !== previous) {
+    try { eventBus.emitStage(Stage.POLICY_PROFILE_CHANGED, { profile: profile.name, previous, reason }); } catch {}
   }
+  return { ok: true, profile: profile.toJSON(), previous };
+}
+
+/**
+ * Active policy profile and the names available in the bundle
+ * @returns {Object} { ok, active, available }
+ */
+function getPolicyProfiles() {
+  return {
+    ok: true,
+    active: activePolicy.toJSON(),
+    available: PolicyProfile.names(maliciousSignatures.profiles),
+  };
+}
+
+/**
+ * Signature lists, rules and the policy profile in the shape runAllChecks expects
+ * (also sent to the auto-scan worker)
+ * @returns {Object} { processNames, ports, domains, rules, hashes, detection, policy }
+ */
+function scanSignatures() {
+  return {
+    processNames: maliciousSignatures.processNames,
+    ports: maliciousSignatures.ports.map((p) => Number(p)),
+    domains: maliciousSignatures.domains,
+    rules: maliciousSignatures.rules || [],
+    hashes: maliciousSignatures.hashes || [],
+    detection: maliciousSignatures.detection,
+    policy: activePolicy.toJSON(),
+  };
 }
 
-// Load signatures on startup
+// Load signatures on startup (the auto-scan worker is only started later)
+let autoScanWorker = null;
 loadSignatures();
 
-// Watch for signature file changes and reload automatically
-try {
-  fs.watch(signaturesPath, { persistent: false }, () => loadSignatures());
-} catch {}
+// Watch the bundle and its signature; bursts of change events (an editor save, the
+// bundle and .sig replaced one after the other) are coalesced into one reload
+let signaturesReloadTimer = null;
+function scheduleSignaturesReload() {
+  clearTimeout(signaturesReloadTimer);
+  signaturesReloadTimer = setTimeout(() => loadSignatures(), 250);
+}
+for (const watched of [signaturesPath, `${signaturesPath}.sig`]) {
+  try {
+    fs.watch(watched, { persistent: false }, scheduleSignaturesReload);
+  } catch {}
+}
+
+// Newer bundles from the update channel are verified and installed as the last known-good
+// copy; a failed download or a rejected bundle leaves the active one untouched
+const signatureUpdater = new SignatureUpdater({
+  store: signatureStore,
+  url: appConfig.signatures.updateUrl,
+  intervalMs: appConfig.signatures.checkIntervalMs,
+});
+signatureUpdater.on("updated", ({ previousVersion, version, diff }) => {
+  activateSignatures();
+  const changes = Object.fromEntries(
+    Object.entries(diff).map(([list, d]) => [list, { added: d.added.length, removed: d.removed.length }])
+  );
+  console.log(`✅ Signature bundle updated v${previousVersion} → v${version}`, JSON.stringify(changes));
+  try { eventBus.emitStage(Stage.SIGNATURES_UPDATED, { previousVersion, version, diff }); } catch {}
+});
+signatureUpdater.on("failed", ({ error }) => {
+  console.warn(`⚠️ Signature update failed: ${error}`);
+  try {
+    eventBus.emitStage(Stage.SIGNATURES_REJECTED, { source: "update", error, activeVersion: signatureStore.getInfo().version });
+  } catch {}
+});
 
 // ============================================================================
 // SYSTEM PROCESS DETECTION UTILITIES
@@ -689,10 +1135,11 @@ async function scanSystem() {
         ? currentLoad.currentLoad
         : 0,
       processes: runningLimited,
+      signatureBundle: signatureStore.getInfo(),
     };
   } catch (error) {
     console.warn("scanSystem() failed with error:", error);
-    return { platform: os.platform(), arch: os.arch(), load: 0, processes: [] };
+    return { platform: os.platform(), arch: os.arch(), load: 0, processes: [], signatureBundle: signatureStore.getInfo() };
   }
 }
 
@@ -725,11 +1172,13 @@ ipcMain.handle("app:openNotificationSettings", async () =>
   notificationService.openNotificationSettings()
 );
 /**
- * Comprehensive notification audit handler
+ * Comprehensive notification audit
  * Performs notification/DND audit and emits appropriate security events
  * Coordinates with security scanning for complete system check
+ *
+ * @returns {Promise<Object>} Audit result with notification threats
  */
-ipcMain.handle("app:auditNotifications", async (_evt, _providedScanId) => {
+async function runNotificationAudit() {
   try {
     const scanId = Date.now();
     const audit = await notificationService.auditNotifications();
@@ -787,7 +1236,11 @@ ipcMain.handle("app:auditNotifications", async (_evt, _providedScanId) => {
   } catch (e) {
     return { ok: false, error: String(e) };
   }
-});
+}
+
+ipcMain.handle("app:auditNotifications", async (_evt, _providedScanId) =>
+  runNotificationAudit()
+);
 
 /**
  * Open browser-specific notification guide
@@ -823,6 +1276,33 @@ class SteppedScanManager {
     // Scan states: 'idle', 'step1_notification', 'step1_blocked', 'step2_security', 'step2_blocked', 'completed'
     this.scanState = "idle";
     this.detections = { notifications: [], security: [] };
+    // Final report of the last completed scan; kept across resets for GET /report
+    this.lastReport = null;
+    // Command callers waiting on the running scan (see onProgress)
+    this.progressListeners = new Set();
+  }
+
+  /**
+   * Subscribe to progress of the running scan
+   * @param {Function} listener - Called with { scanId, step, stepName, phase, message }
+   * @returns {Function} Unsubscribe
+   */
+  onProgress(listener) {
+    this.progressListeners.add(listener);
+    return () => this.progressListeners.delete(listener);
+  }
+
+  /**
+   * Report progress to the current listeners; a failing listener never breaks the scan
+   * @param {Object} progress - { step, stepName, phase, message }
+   */
+  reportProgress(progress) {
+    const update = { scanId: this.currentScan?.id || null, ...progress };
+    for (const listener of this.progressListeners) {
+      try {
+        listener(update);
+      } catch {}
+    }
   }
 
   /**
@@ -843,7 +1323,7 @@ class SteppedScanManager {
       this.scanState !== "completed"
     ) {
       console.log("❌ Scan already in progress, returning error");
-      return { ok: false, error: "Scan already in progress" };
+      return { ok: false, code: ErrorCode.ALREADY_RUNNING, error: "Scan already in progress" };
     }
 
     // Initialize new scan session
@@ -879,6 +1359,12 @@ class SteppedScanManager {
   async executeStep1() {
     try {
       console.log("📱 Auditing notification settings...");
+      this.reportProgress({
+        step: 1,
+        stepName: "notification_audit",
+        phase: "started",
+        message: "Auditing notification settings",
+      });
 
       // Perform comprehensive notification audit
       const auditResult = await notificationService.auditNotifications();
@@ -905,7 +1391,13 @@ class SteppedScanManager {
           `⚠️ Notification gating: dndOn=${dndOn}, windowsBgDetected=${windowsBgDetected} - SCAN BLOCKED`
         );
         this.scanState = "step1_blocked";
-        
+        this.reportProgress({
+          step: 1,
+          stepName: "notification_audit",
+          phase: "blocked",
+          message: "Notification issues must be resolved",
+        });
+
         // Emit security threat event
         try {
           eventBus.emitEvent(AppEvent.ACTIVE_NOTIFICATION_SERVICE, {
@@ -943,6 +1435,12 @@ class SteppedScanManager {
         // NOTIFICATION CHECK PASSED - PROCEED TO STEP 2
         // ============================================================================
         console.log("✅ Notification gate passed, proceeding to Step 2");
+        this.reportProgress({
+          step: 1,
+          stepName: "notification_audit",
+          phase: "completed",
+          message: "Notification audit passed",
+        });
 
         eventBus.emitStage("SCAN_STEP1_COMPLETED", {
           scanId: this.currentScan.id,
@@ -955,7 +1453,7 @@ class SteppedScanManager {
     } catch (e) {
       this.scanState = "idle";
       this.currentScan = null;
-      return { ok: false, error: `Step 1 failed: ${String(e)}` };
+      return { ok: false, code: ErrorCode.COMMAND_FAILED, error: `Step 1 failed: ${String(e)}` };
     }
   }
 
@@ -977,16 +1475,24 @@ class SteppedScanManager {
         step: 2,
         stepName: "security_scan",
       });
+      this.reportProgress({
+        step: 2,
+        stepName: "security_scan",
+        phase: "started",
+        message: "Collecting system report",
+      });
 
       // ============================================================================
       // PARALLEL SECURITY SCANNING
       // ============================================================================
       const systemReport = await scanSystem();
-      const securityThreats = await securityService.runAllChecks({
-        processNames: maliciousSignatures.processNames,
-        ports: maliciousSignatures.ports.map((p) => Number(p)),
-        domains: maliciousSignatures.domains,
+      this.reportProgress({
+        step: 2,
+        stepName: "security_scan",
+        phase: "running",
+        message: "Checking processes, ports and domains",
       });
+      const securityThreats = await securityService.runAllChecks(scanSignatures());
 
       // Store security detection results
       this.detections.security = Array.isArray(securityThreats)
@@ -999,6 +1505,12 @@ class SteppedScanManager {
         // ============================================================================
         console.log(`⚠️ Found ${securityThreats.length} security threats`);
         this.scanState = "step2_blocked";
+        this.reportProgress({
+          step: 2,
+          stepName: "security_scan",
+          phase: "blocked",
+          message: `${securityThreats.length} security threat(s) must be resolved`,
+        });
 
         eventBus.emitStage("SCAN_STEP2_BLOCKED", {
           scanId: this.currentScan.id,
@@ -1022,12 +1534,18 @@ class SteppedScanManager {
         // NO SECURITY THREATS - COMPLETE SCAN
         // ============================================================================
         console.log("✅ No security threats detected");
+        this.reportProgress({
+          step: 2,
+          stepName: "security_scan",
+          phase: "completed",
+          message: "No security threats detected",
+        });
         return this.completeScan(systemReport);
       }
     } catch (e) {
       this.scanState = "idle";
       this.currentScan = null;
-      return { ok: false, error: `Step 2 failed: ${String(e)}` };
+      return { ok: false, code: ErrorCode.COMMAND_FAILED, error: `Step 2 failed: ${String(e)}` };
     }
   }
 
@@ -1038,7 +1556,7 @@ class SteppedScanManager {
    */
   async retryStep1() {
     if (this.scanState !== "step1_blocked") {
-      return { ok: false, error: "Cannot retry step 1 - not in blocked state" };
+      return { ok: false, code: ErrorCode.INVALID_STATE, error: "Cannot retry step 1 - not in blocked state" };
     }
 
     console.log("🔄 User initiated retry of Step 1: Notification Audit");
@@ -1058,7 +1576,7 @@ class SteppedScanManager {
    */
   async retryStep2() {
     if (this.scanState !== "step2_blocked") {
-      return { ok: false, error: "Cannot retry step 2 - not in blocked state" };
+      return { ok: false, code: ErrorCode.INVALID_STATE, error: "Cannot retry step 2 - not in blocked state" };
     }
 
     console.log("🔄 Retrying Step 2: Security Scan");
@@ -1106,6 +1624,7 @@ class SteppedScanManager {
       });
     } catch {}
 
+    this.lastReport = finalReport;
     eventBus.emitStage("STEPPED_SCAN_COMPLETED", finalReport);
 
     console.log("✅ Stepped scan completed successfully");
@@ -1189,15 +1708,19 @@ class SteppedScanManager {
  * List categorized threat applications across all platforms
  * Returns installed apps, running processes, services, and browser extensions
  * that match threat patterns (messaging, remote control, virtualization, screen capture)
+ *
+ * @returns {Promise<Object>} Categorized threat applications
  */
-ipcMain.handle("app:listThreatApps", async () => {
+async function listThreatApps() {
   try {
     const res = await securityService.listThreatApplications();
     return { ok: true, ...res };
   } catch (e) {
     return { ok: false, error: String(e) };
   }
-});
+}
+
+ipcMain.handle("app:listThreatApps", async () => listThreatApps());
 
 // ============================================================================
 // STEPPED SCAN MANAGER INSTANCE
@@ -1225,16 +1748,13 @@ async function legacyScan(options = {}) {
     } = options;
 
     console.log("🔍 Running legacy scan (for UI compatibility)");
+    try { eventBus.emitStage(Stage.SCAN_STARTED, { scanId, scanType }); } catch {}
 
     // ============================================================================
     // PARALLEL SECURITY SCANNING
     // ============================================================================
     const systemReport = await scanSystem();
-    const threats = await securityService.runAllChecks({
-      processNames: maliciousSignatures.processNames,
-      ports: maliciousSignatures.ports.map((p) => Number(p)),
-      domains: maliciousSignatures.domains,
-    });
+    const threats = await securityService.runAllChecks(scanSignatures());
 
     // Ensure threats is always an array
     systemReport.threats = Array.isArray(threats) ? threats : [];
@@ -1242,6 +1762,15 @@ async function legacyScan(options = {}) {
     console.log(
       `✅ Legacy scan completed. Found ${systemReport.threats.length} threats`
     );
+    try {
+      eventBus.emitStage(Stage.SCAN_COMPLETED, {
+        scanId,
+        scanType,
+        ok: true,
+        threatCount: systemReport.threats.length,
+        signatureVersion: signatureStore.getInfo().version,
+      });
+    } catch {}
     return { ok: true, report: systemReport };
   } catch (e) {
     console.error("❌ Legacy scan failed:", e);
@@ -1380,10 +1909,12 @@ function armSequentialCompletionExpiry() {
 // ============================================================================
 
 /**
- * Legacy scan handler for UI compatibility
+ * Legacy scan for UI compatibility
  * Performs basic security scan and coordinates with notification completion
+ *
+ * @returns {Promise<Object>} Scan result with system report and threats
  */
-ipcMain.handle("app:scan", async (_evt, _providedScanId) => {
+async function runSecurityScan() {
   console.log('app:scan    =========================>  ')
   
   // Use legacy scan for compatibility with existing UI
@@ -1419,7 +1950,9 @@ ipcMain.handle("app:scan", async (_evt, _providedScanId) => {
     }
   } catch {}
   return res;
-});
+}
+
+ipcMain.handle("app:scan", async (_evt, _providedScanId) => runSecurityScan());
 
 /**
  * Complete system check handler
@@ -1484,9 +2017,9 @@ ipcMain.handle("app:resetScan", async () => {
 // ============================================================================
 // Background worker thread for continuous security monitoring
 // Keeps main thread responsive while performing periodic security scans
+// (autoScanWorker itself is declared with the signatures so updates can reach it)
 
 const { Worker } = require("worker_threads");
-let autoScanWorker = null;
 
 /**
  * Start auto-scan worker for continuous background monitoring
@@ -1517,10 +2050,11 @@ function startAutoScanWorker(intervalMs = 30000) {
   autoScanWorker.on("message", (msg) => {
     if (!msg) return;
     if (msg.type === "result") {
-      // Handle scan results; no outbound events from here per allowed policy
-      if (msg.payload && msg.payload.ok && msg.payload.report) {
-        // Intentionally no-op for outbound events here
-      }
+      // No outbound events from here per allowed policy; subscribers of
+      // stage:AUTO_SCAN_RESULT get a compact summary instead of the full report
+      try {
+        eventBus.emitStage(Stage.AUTO_SCAN_RESULT, summarizeAutoScanResult(msg.payload));
+      } catch {}
 
       // Send result to renderer process
       if (mainWindow && !mainWindow.isDestroyed()) {
@@ -1539,15 +2073,14 @@ function startAutoScanWorker(intervalMs = 30000) {
     autoScanWorker = null;
   });
   
+  try { eventBus.emitStage(Stage.AUTO_SCAN_STARTED, { intervalMs }); } catch {}
+
   // Start worker with configuration
   autoScanWorker.postMessage({
     type: "start",
     intervalMs,
-    signatures: {
-      processNames: maliciousSignatures.processNames,
-      ports: maliciousSignatures.ports.map((p) => Number(p)),
-      domains: maliciousSignatures.domains,
-    },
+    signatures: scanSignatures(),
+    signatureVersion: signatureStore.getInfo().version,
   });
   return true;
 }
@@ -1566,9 +2099,38 @@ function stopAutoScanWorker() {
     autoScanWorker.terminate();
   } catch {}
   autoScanWorker = null;
+  try { eventBus.emitStage(Stage.AUTO_SCAN_STOPPED, {}); } catch {}
   return true;
 }
 
+/**
+ * Reduce an auto-scan worker result to what progress subscribers need
+ * The full report (up to 500 processes) stays in the main process
+ *
+ * @param {Object} payload - Worker result payload
+ * @returns {Object} { ok, threatCount, threats: [{ type, severity, name, pid }], load } or { ok, error }
+ */
+function summarizeAutoScanResult(payload) {
+  if (!payload || !payload.ok) {
+    return { ok: false, error: String((payload && payload.error) || "unknown_error") };
+  }
+  const report = payload.report || {};
+  const threats = Array.isArray(report.threats) ? report.threats : [];
+  return {
+    ok: true,
+    threatCount: threats.length,
+    threats: threats.slice(0, 50).map((t) => {
+      const details = (t && t.details) || {};
+      const summary = { type: String(t.type || ""), severity: String(t.severity || "") };
+      if (details.name || t.name) summary.name = String(details.name || t.name);
+      if (Number.isInteger(Number(details.pid)) && details.pid) summary.pid = Number(details.pid);
+      return summary;
+    }),
+    load: Number(report.load) || 0,
+    signatureVersion: Number.isInteger(payload.signatureVersion) ? payload.signatureVersion : null,
+  };
+}
+
 /**
  * Start auto-scan worker IPC handler
  * Allows renderer to start background monitoring
@@ -1614,13 +2176,47 @@ ipcMain.handle("app:sendToClients", async (_evt, data) => {
 /**
  * Get WebSocket server status
  * Returns server status, port, and endpoint information
+ *
+ * @returns {Object} Local server, event bus and remote client status
  */
-ipcMain.handle("app:getServerStatus", async () => {
+function getServerStatus() {
   return {
-    running: localServer.server && localServer.server.listening,
+    running: !!(localServer.server && localServer.server.listening),
     port: localServer.port,
-    endpoint: `ws://localhost:${localServer.port}/ws`,
+    bind: localServer.getBindStatus(),
+    endpoint: localServer.getEndpoint(),
+    tls: localServer.getTlsInfo(),
+    clients: localServer.getClientSummary(),
+    rejections: localServer.getRejections(),
+    events: { epoch: eventBus.epoch, seq: eventBus.seq },
+    commandsInFlight: commandFlights.keys(),
+    remote: remoteClient.getStatus(),
+    signatures: { ...signatureStore.getInfo(), updates: signatureUpdater.getStatus() },
+    policy: { active: activePolicy.name, available: PolicyProfile.names(maliciousSignatures.profiles) },
   };
+}
+
+ipcMain.handle("app:getServerStatus", async () => getServerStatus());
+
+/**
+ * Check the signature update channel now instead of waiting for the next interval
+ * @returns {Promise<Object>} Check result ({ ok, updated, version, diff | error })
+ */
+ipcMain.handle("app:checkSignatureUpdates", async () => {
+  if (!signatureUpdater.url) return { ok: false, error: "No signature update URL configured" };
+  return signatureUpdater.checkNow();
+});
+
+/**
+ * Issue a one-time pairing code
+ * The student enters this code on the exam website to pair it with the companion app
+ */
+ipcMain.handle("app:getPairingCode", async () => {
+  try {
+    return { ok: true, ...pairingManager.issueCode() };
+  } catch (e) {
+    return { ok: false, error: String(e) };
+  }
 }); 
 
 // ============================================================================
@@ -1722,15 +2318,19 @@ ipcMain.handle("app:getNotificationLoggingStatus", async () => {
 /**
  * List actively sharing tabs in currently open browsers
  * Detects browser tabs that are currently sharing screen content
+ *
+ * @returns {Promise<Object>} { ok, tabs }
  */
-ipcMain.handle("app:listActiveSharingTabs", async () => {
+async function listActiveSharingTabs() {
   try {
     const tabs = await securityService.getActiveScreenSharingTabs();
     return { ok: true, tabs };
   } catch (e) {
     return { ok: false, error: String(e) };
   }
-});
+}
+
+ipcMain.handle("app:listActiveSharingTabs", async () => listActiveSharingTabs());
 
 // ============================================================================
 // IPC HANDLERS - EXAM MODE CHECK
@@ -1740,8 +2340,11 @@ ipcMain.handle("app:listActiveSharingTabs", async () => {
  * Exam mode security check
  * Allows only one browser family and the companion app; flags all other processes
  * Uses different detection logic for Linux vs Windows/macOS
+ *
+ * @param {Object} [options] - { allowedCompanionMatches, preferredBrowserFamily }
+ * @returns {Promise<Object>} Summary, flagged processes and allowed matches
  */
-ipcMain.handle("app:runExamModeCheck", async (_evt, options) => {
+async function runExamModeCheck(options) {
   try {
     // ============================================================================
     // COMPANION APP IDENTIFICATION
@@ -1773,11 +2376,7 @@ ipcMain.handle("app:runExamModeCheck", async (_evt, options) => {
           load: 0,
         })),
         securityService
-          .runAllChecks({
-            processNames: maliciousSignatures.processNames,
-            ports: maliciousSignatures.ports.map((p) => Number(p)),
-            domains: maliciousSignatures.domains,
-          })
+          .runAllChecks(scanSignatures())
           .catch(() => []),
       ]);
       const byPid = new Map(
@@ -1861,4 +2460,125 @@ ipcMain.handle("app:runExamModeCheck", async (_evt, options) => {
   } catch (e) {
     return { ok: false, error: String(e) };
   }
-});
+}
+
+ipcMain.handle("app:runExamModeCheck", async (_evt, options) =>
+  runExamModeCheck(options)
+);
+
+// Read-only: the policy is chosen by the exam website or platform, never by the student's UI
+ipcMain.handle("app:getPolicyProfiles", async () => getPolicyProfiles());
+
+// ============================================================================
+// JSON-RPC METHODS
+// ============================================================================
+// Permissioned subset of the preload API for the exam website, served as
+// JSON-RPC 2.0 on /ws. Method names mirror window.companion; each one needs a
+// scope granted at pairing time. UI-only operations (opening settings/guides,
+// logging toggles, pairing codes) are deliberately not exposed. Scans go through
+// commandFlights like the equivalent socket commands.
+const noParams = { type: "object", additionalProperties: false, properties: {} };
+
+rpcRouter
+  .register("getNotificationStatus", () => notificationService.getNotificationStatus(), {
+    scope: RpcScope.STATUS_READ,
+    params: noParams,
+    description: "System notification settings and DND state",
+  })
+  .register("getFocusStatus", () => notificationService.getFocusStatus(), {
+    scope: RpcScope.STATUS_READ,
+    params: noParams,
+    description: "Whether focus/DND mode is active",
+  })
+  .register("getScanStatus", () => steppedScanManager.getScanStatus(), {
+    scope: RpcScope.STATUS_READ,
+    params: noParams,
+    description: "Current stepped scan state",
+  })
+  .register("getServerStatus", () => getServerStatus(), {
+    scope: RpcScope.STATUS_READ,
+    params: noParams,
+    description: "Local server, event bus and remote connection status",
+  })
+  .register("auditNotifications", () => commandFlights.run("auditNotifications", runNotificationAudit), {
+    scope: RpcScope.CHECKS_RUN,
+    params: noParams,
+    description: "Notification/DND audit; emits ACTIVE_NOTIFICATION_SERVICE on failure",
+  })
+  .register("scan", () => commandFlights.run("scan", runSecurityScan), {
+    scope: RpcScope.CHECKS_RUN,
+    params: noParams,
+    description: "Security scan against the malicious signatures",
+  })
+  .register("completeSystemCheck", () => commandFlights.run("completeSystemCheck", completeSystemCheck), {
+    scope: RpcScope.CHECKS_RUN,
+    params: noParams,
+    description: "Notification audit followed by a security scan",
+  })
+  .register("runExamModeCheck", (params) => {
+    const preferredBrowserFamily = params.preferredBrowserFamily || null;
+    return commandFlights.run(`runExamModeCheck:${preferredBrowserFamily}`, () => runExamModeCheck({ preferredBrowserFamily }));
+  }, {
+    scope: RpcScope.CHECKS_RUN,
+    // The companion allow-list stays under local control; remote callers may only pick the browser
+    params: {
+      type: "object",
+      additionalProperties: false,
+      properties: { preferredBrowserFamily: { type: ["string", "null"], maxLength: 64 } },
+    },
+    description: "Exam mode check flagging everything except one browser family and the companion",
+  })
+  .register("getPolicyProfiles", () => getPolicyProfiles(), {
+    scope: RpcScope.STATUS_READ,
+    params: noParams,
+    description: "Active exam policy profile and the profiles available in the bundle",
+  })
+  .register("setPolicyProfile", (params) => {
+    const result = applyPolicyProfile(params.profile, "rpc");
+    if (!result.ok) throw new RpcError(RpcErrorCode.INVALID_PARAMS, result.error, { available: result.available });
+    return result;
+  }, {
+    scope: RpcScope.POLICY_WRITE,
+    params: {
+      type: "object",
+      required: ["profile"],
+      additionalProperties: false,
+      properties: { profile: { type: "string", minLength: 1, maxLength: 64 } },
+    },
+    description: "Select the exam policy profile every check applies",
+  })
+  .register("listThreatApps", () => commandFlights.run("listThreatApps", listThreatApps), {
+    scope: RpcScope.CHECKS_RUN,
+    params: noParams,
+    description: "Categorized threat applications (installed, running, services, extensions)",
+  })
+  .register("getActiveSharingTabs", () => commandFlights.run("getActiveSharingTabs", listActiveSharingTabs), {
+    scope: RpcScope.CHECKS_RUN,
+    params: noParams,
+    description: "Browser tabs currently sharing the screen",
+  })
+  .register("startSteppedScan", () => commandFlights.run("startSteppedScan", () => steppedScanManager.startSteppedScan()), {
+    scope: RpcScope.CHECKS_RUN,
+    params: noParams,
+    description: "Start the two-step guided scan",
+  })
+  .register("retryStep1", () => commandFlights.run("retryStep1", () => steppedScanManager.retryStep1()), {
+    scope: RpcScope.CHECKS_RUN,
+    params: noParams,
+    description: "Retry the notification step",
+  })
+  .register("retryStep2", () => commandFlights.run("retryStep2", () => steppedScanManager.retryStep2()), {
+    scope: RpcScope.CHECKS_RUN,
+    params: noParams,
+    description: "Retry the security step",
+  })
+  .register("cancelScan", () => steppedScanManager.cancelScan(), {
+    scope: RpcScope.SCAN_CONTROL,
+    params: noParams,
+    description: "Cancel the running stepped scan",
+  })
+  .register("resetScan", () => steppedScanManager.resetScan(), {
+    scope: RpcScope.SCAN_CONTROL,
+    params: noParams,
+    description: "Reset the stepped scan to idle",
+  });
@@ -32,12 +32,15 @@ contextBridge.exposeInMainWorld('companion', {
   // WebSocket communication functions
   sendToClients: (data) => ipcRenderer.invoke('app:sendToClients', data),
   getServerStatus: () => ipcRenderer.invoke('app:getServerStatus'),
+  checkSignatureUpdates: () => ipcRenderer.invoke('app:checkSignatureUpdates'),
+  getPairingCode: () => ipcRenderer.invoke('app:getPairingCode'),
   checkBrowserTabPermissions: () => ipcRenderer.invoke('app:checkBrowserTabPermissions'),
   testTabDetection: (browserName) => ipcRenderer.invoke('app:testTabDetection', browserName),
   setLogging: (enabled) => ipcRenderer.invoke('app:setLogging', enabled),
   getLoggingStatus: () => ipcRenderer.invoke('app:getLoggingStatus'),
   getActiveSharingTabs: () => ipcRenderer.invoke('app:listActiveSharingTabs'),
   runExamModeCheck: (options) => ipcRenderer.invoke('app:runExamModeCheck', options),
+  getPolicyProfiles: () => ipcRenderer.invoke('app:getPolicyProfiles'),
   onWebSocketMessage: (handler) => {
     const listener = (_evt, message) => handler(message);
     ipcRenderer.on('websocket:message', listener);
@@ -16,6 +16,9 @@ const globalStatusEl = document.getElementById('globalStatus');      // Global s
 const globalHintEl = document.getElementById('globalHint');          // Status hint/instruction text
 const suspiciousListEl = document.getElementById('suspiciousList');  // Container for threat results
 const notifAuditEl = document.getElementById('notifAudit');          // Container for notification audit results
+const pairingCodeEl = document.getElementById('pairingCode');        // One-time pairing code display
+const pairingBtn = document.getElementById('pairingBtn');            // Issue a new pairing code
+const pairingHintEl = document.getElementById('pairingHint');        // Pairing code expiry hint
 const scanBtnDefaultText = scanBtn.textContent;                     // Store original button text
 
 // ============================================================================
@@ -88,6 +91,25 @@ async function setFocusStatus(){
   }
 }
 
+/**
+ * Requests a fresh one-time pairing code from the main process and displays it
+ * The exam website must present this code before it can receive events or send commands
+ *
+ * @returns {Promise<void>}
+ */
+async function refreshPairingCode(){
+  try {
+    const res = await window.companion.getPairingCode();
+    if (!res || !res.ok) throw new Error((res && res.error) || 'Pairing unavailable');
+    pairingCodeEl.textContent = res.code;
+    const expires = new Date(res.expiresAt).toLocaleTimeString();
+    pairingHintEl.textContent = `Enter this code on the exam website to connect it to the companion app. Valid until ${expires}.`;
+  } catch (e) {
+    pairingCodeEl.textContent = '------';
+    pairingHintEl.textContent = String(e.message || e);
+  }
+}
+
 // ============================================================================
 // GLOBAL STATE VARIABLES
 // ============================================================================
@@ -398,6 +420,7 @@ async function runSystemCheck(){
 
 // Bind scan button click event
 scanBtn.addEventListener('click', runSystemCheck);
+pairingBtn.addEventListener('click', refreshPairingCode);
 
 /**
  * Application initialization function
@@ -426,6 +449,8 @@ scanBtn.addEventListener('click', runSystemCheck);
   // ============================================================================
   // Load initial focus status (macOS)
   try { await setFocusStatus(); } catch {}
+  // Show a pairing code for the exam website
+  try { await refreshPairingCode(); } catch {}
   
   // ============================================================================
   // AUTO-SCAN SUBSCRIPTION
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+// Signs a malicious signature bundle for the companion app.
+//
+//   node scripts/sign-bundle.js <bundle.json> [private-key.pem]   writes <bundle.json>.sig
+//   node scripts/sign-bundle.js --keygen <dir>                    creates a new Ed25519 key pair
+//
+// The private key defaults to $TOPIN_SIGNING_KEY. Keep it out of this repository: anyone holding
+// it can make the app trust any bundle. After --keygen, paste the printed public key into
+// BUNDLE_PUBLIC_KEY in security/SignatureStore.js and re-sign the shipped bundle.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const SignatureStore = require('../security/SignatureStore');
+
+function fail(message) {
+  console.error(`sign-bundle: ${message}`);
+  process.exit(1);
+}
+
+function keygen(dir) {
+  if (!dir) fail('usage: sign-bundle --keygen <dir>');
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  fs.mkdirSync(dir, { recursive: true });
+  const keyPath = path.join(dir, 'topin-signatures-private.pem');
+  fs.writeFileSync(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600, flag: 'wx' });
+  console.log(`Private key written to ${keyPath}`);
+  console.log(publicKey.export({ type: 'spki', format: 'pem' }));
+}
+
+function sign(bundlePath, keyPath) {
+  if (!bundlePath || !keyPath) fail('usage: sign-bundle <bundle.json> [private-key.pem] (or set TOPIN_SIGNING_KEY)');
+  const raw = fs.readFileSync(bundlePath);
+  let bundle;
+  try {
+    bundle = SignatureStore.readBundle(raw);
+  } catch (e) {
+    fail(`${bundlePath} is not a valid bundle: ${e.message}`);
+  }
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(keyPath));
+  const signature = crypto.sign(null, raw, privateKey);
+  // Refuse to sign with a key the app would not accept
+  const embedded = crypto.createPublicKey(SignatureStore.BUNDLE_PUBLIC_KEY);
+  if (!crypto.verify(null, raw, embedded, signature)) {
+    fail('the private key does not match BUNDLE_PUBLIC_KEY in security/SignatureStore.js');
+  }
+  fs.writeFileSync(`${bundlePath}.sig`, `${signature.toString('base64')}\n`);
+  console.log(`Signed ${bundlePath} (version ${bundle.version}, issued ${bundle.issuedAt})`);
+}
+
+const args = process.argv.slice(2);
+if (args[0] === '--keygen') keygen(args[1]);
+else sign(args[0], args[1] || process.env.TOPIN_SIGNING_KEY);
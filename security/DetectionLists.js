@@ -0,0 +1,128 @@
+// Keyword lists behind the heuristic checks in SecurityService and ExamModeService. They ship in
+// the signature bundle (signatures.detection) rather than in code, so false positives can be tuned
+// with a new bundle version. A list the bundle leaves out is empty: that check then matches nothing.
+// Without a verified bundle, or when the bundle has no detection block at all, the built-in lists
+// below are used, so a missing or rejected bundle never turns the heuristic checks off.
+//
+//   remoteControlApps, backgroundServices, blacklistedProcesses   SecurityService process checks
+//   suspiciousProcesses, suspiciousPorts                         SecurityService suspicious activity
+//   screenSharingDomains                                         both services (browser tabs)
+//   examBlacklistedProcesses                                     ExamModeService process check
+//   threatPatterns: { <category>: [keywords] }                   installed apps / services / extensions
+
+const STRING_LISTS = [
+  'remoteControlApps',
+  'backgroundServices',
+  'blacklistedProcesses',
+  'suspiciousProcesses',
+  'screenSharingDomains',
+  'examBlacklistedProcesses'
+];
+const CATEGORY_PATTERN = /^[a-z0-9_]{1,32}$/;
+
+// Fallback lists: the keyword lists these checks had before they moved into the bundle. Kept here
+// as a safety net, not kept in sync with the shipped bundle.
+const BUILTIN = {
+  remoteControlApps: [
+    'teamviewer', 'tv_w32', 'tv_x64', 'anydesk', 'anydesk.exe', 'chrome_remote', 'remotedesktop',
+    'chrome_remote_desktop', 'vnc', 'vncserver', 'vncviewer', 'realvnc', 'tightvnc', 'ultravnc',
+    'winvnc', 'vnc4server', 'x11vnc', 'mstsc', 'rdp', 'remote desktop', 'terminal services',
+    'rdpclip', 'rdpinput', 'rdpsnd', 'rdpdr', 'logmein', 'gotomypc', 'remotepc', 'splashtop',
+    'dameware', 'radmin', 'ammyy', 'screenconnect', 'bomgar', 'remoteutilities', 'supremo',
+    'showmypc', 'zoho assist', 'chrome.exe --remote-debugging'
+  ],
+  backgroundServices: [
+    'teamviewerd', 'tv_bin/teamviewerd', 'ad_service', 'vncserver-x11-core', 'sshd', 'rdp-server',
+    'chrome --type=gpu-process', 'chrome --type=utility'
+  ],
+  blacklistedProcesses: [
+    'remote-assistance-host'
+  ],
+  suspiciousProcesses: [
+    'calculator', 'calc', 'gnome-calculator', 'kcalc', 'galculator', 'qalculate', 'mate-calc',
+    'xcalc', 'notepad', 'wordpad', 'gedit', 'kate', 'sublime', 'vscode', 'atom', 'brackets',
+    'intellij', 'eclipse', 'pycharm', 'webstorm', 'visual studio', 'dev-cpp', 'codeblocks',
+    'android studio', 'xcode', 'matlab', 'mathematica', 'maple', 'wolfram', 'octave', 'rstudio',
+    'spyder', 'anaconda'
+  ],
+  suspiciousPorts: [
+    5900, 5901, 5902, 5903, 5904, 3389, 22, 23, 5938, 7070, 4899, 5500, 6129
+  ],
+  screenSharingDomains: [
+    'meet.google.com', 'teams.microsoft.com', 'zoom.us', 'webex.com', 'gotomeeting.com',
+    'discord.com', 'slack.com', 'whereby.com', 'jitsi.org', 'appear.in', 'skype.com',
+    'teamviewer.com'
+  ],
+  examBlacklistedProcesses: [
+    'remote_assistance_host'
+  ],
+  threatPatterns: {
+    messaging: [
+      'whatsapp', 'telegram', 'discord', 'microsoft teams', 'teams', 'slack', 'zoom', 'signal',
+      'messenger', 'skype'
+    ],
+    remote_control: [
+      'teamviewer', 'anydesk', 'chrome remote desktop', 'chrome_remote_desktop', 'remote desktop',
+      'zoho assist', 'ultraviewer', 'remote utilities', 'remotepc', 'splashtop', 'vnc', 'realvnc',
+      'tightvnc', 'ultravnc', 'rdp', 'radmin', 'screenconnect', 'bomgar'
+    ],
+    virtualization: [
+      'virtualbox', 'vmware', 'parallels', 'qemu', 'kvm', 'hyper-v', 'hyperv', 'xen'
+    ],
+    screen_capture: [
+      'snagit', 'sharex', 'obs', 'obs studio', 'gyazo', 'camtasia', 'bandicam', 'fraps',
+      'screencast'
+    ]
+  }
+};
+
+class DetectionLists {
+  // Validates signatures.detection and returns it with every list present and lowercased; throws
+  // with the offending key. A missing detection block yields the built-in lists.
+  static normalize(detection) {
+    if (typeof detection === 'undefined' || detection === null) detection = BUILTIN;
+    if (typeof detection !== 'object' || Array.isArray(detection)) throw new Error('signatures.detection must be an object');
+    const out = {};
+    for (const key of STRING_LISTS) {
+      const list = detection[key] || [];
+      if (!Array.isArray(list) || !list.every((v) => typeof v === 'string' && v.trim())) {
+        throw new Error(`signatures.detection.${key} must be an array of non-empty strings`);
+      }
+      out[key] = list.map((v) => v.toLowerCase());
+    }
+    const ports = detection.suspiciousPorts || [];
+    if (!Array.isArray(ports) || !ports.every((p) => Number.isInteger(Number(p)) && Number(p) > 0 && Number(p) < 65536)) {
+      throw new Error('signatures.detection.suspiciousPorts must be an array of port numbers');
+    }
+    out.suspiciousPorts = ports.map(Number);
+    const patterns = detection.threatPatterns || {};
+    if (typeof patterns !== 'object' || Array.isArray(patterns)) throw new Error('signatures.detection.threatPatterns must be an object');
+    out.threatPatterns = {};
+    for (const [category, list] of Object.entries(patterns)) {
+      if (!CATEGORY_PATTERN.test(category)) throw new Error(`signatures.detection.threatPatterns: invalid category ${JSON.stringify(category)}`);
+      if (!Array.isArray(list) || !list.every((v) => typeof v === 'string' && v.trim())) {
+        throw new Error(`signatures.detection.threatPatterns.${category} must be an array of non-empty strings`);
+      }
+      out.threatPatterns[category] = list.map((v) => v.toLowerCase());
+    }
+    for (const key of Object.keys(detection)) {
+      if (!(key in out)) throw new Error(`signatures.detection.${key} is not a known list`);
+    }
+    return out;
+  }
+
+  // One flat list per key (threatPatterns.<category> for the categories), for bundle diffs
+  static flatten(detection) {
+    const d = DetectionLists.normalize(detection);
+    const out = {};
+    for (const key of STRING_LISTS) out[key] = d[key];
+    out.suspiciousPorts = d.suspiciousPorts;
+    for (const [category, list] of Object.entries(d.threatPatterns)) out[`threatPatterns.${category}`] = list;
+    return out;
+  }
+}
+
+DetectionLists.STRING_LISTS = STRING_LISTS;
+DetectionLists.BUILTIN = Object.freeze(DetectionLists.normalize(BUILTIN));
+
+module.exports = DetectionLists;
@@ -0,0 +1,153 @@
+const dns = require('dns');
+const net = require('net');
+
+// Bounds for cached answers: record TTLs are honoured within [minTtlMs, maxTtlMs]; failed lookups
+// are retried after negativeTtlMs
+const DEFAULTS = {
+  minTtlMs: 60 * 1000,
+  maxTtlMs: 60 * 60 * 1000,
+  negativeTtlMs: 5 * 60 * 1000,
+  timeoutMs: 3000,
+  maxEntries: 4096,
+  // New reverse lookups per match() call; the rest wait for the next scan
+  maxReversePerScan: 32,
+  // Peers matched at once by SecurityService.checkSignatureDomains, and its overall deadline
+  matchConcurrency: 8,
+  checkTimeoutMs: 10 * 1000
+};
+
+// Turns signature domains into something network connections can be matched on. Signature domains
+// are resolved ahead of time (A and AAAA) and peer IPs are reverse-resolved, both cached with the
+// record TTLs. `resolver` is anything with dns.promises.Resolver's resolve4/resolve6 (with
+// { ttl: true }) and reverse methods, so tests can pass a stub.
+class DomainResolver {
+  constructor(options = {}) {
+    this.options = { ...DEFAULTS, ...options };
+    this.resolver = options.resolver || new dns.promises.Resolver({ timeout: this.options.timeoutMs, tries: 2 });
+    this.forward = new Map(); // domain -> { addresses: [], expiresAt }
+    this.reverseCache = new Map(); // ip -> { hostnames: [], expiresAt }
+    this.pending = new Map(); // `f:${domain}` / `r:${ip}` -> Promise
+  }
+
+  static normalizeAddress(ip) {
+    const a = String(ip || '').trim().toLowerCase();
+    return a.startsWith('::ffff:') && net.isIPv4(a.slice(7)) ? a.slice(7) : a;
+  }
+
+  // Loopback, private, link-local and unspecified addresses have no useful reverse entry
+  static isPublicAddress(ip) {
+    const a = DomainResolver.normalizeAddress(ip);
+    if (net.isIPv4(a)) {
+      const [x, y] = a.split('.').map(Number);
+      return !(x === 0 || x === 10 || x === 127 || (x === 169 && y === 254) || (x === 172 && y >= 16 && y <= 31) || (x === 192 && y === 168) || (x === 100 && y >= 64 && y <= 127) || x >= 224);
+    }
+    if (net.isIPv6(a)) return !(a === '::' || a === '::1' || /^f[cd]/.test(a) || /^fe[89ab]/.test(a) || /^ff/.test(a));
+    return false;
+  }
+
+  // Resolves the domains whose cached answer is missing or expired. Never rejects.
+  async prefetch(domains) {
+    const now = Date.now();
+    const stale = [...new Set((domains || []).map((d) => String(d).toLowerCase()).filter(Boolean))]
+      .filter((d) => !net.isIP(d))
+      .filter((d) => { const e = this.forward.get(d); return !e || e.expiresAt <= now; });
+    await Promise.all(stale.map((d) => this._resolveDomain(d)));
+  }
+
+  // Cached addresses of a domain (possibly expired; prefetch refreshes them)
+  addressesOf(domain) {
+    const entry = this.forward.get(String(domain).toLowerCase());
+    return entry ? entry.addresses : [];
+  }
+
+  async reverse(ip) {
+    const address = DomainResolver.normalizeAddress(ip);
+    const entry = this.reverseCache.get(address);
+    if (entry && entry.expiresAt > Date.now()) return entry.hostnames;
+    return this._reverse(address);
+  }
+
+  // Which of `domains` an address belongs to: { domain, via } with via 'address' (the peer is the
+  // domain written as an IP), 'forward' (one of its resolved addresses) or 'reverse' (its PTR name
+  // is the domain or a subdomain of it); null when none. Call prefetch(domains) first.
+  async match(ip, domains, budget = { reverse: this.options.maxReversePerScan }) {
+    const address = DomainResolver.normalizeAddress(ip);
+    if (!address) return null;
+    const list = (domains || []).map((d) => String(d).toLowerCase());
+    for (const domain of list) {
+      if (domain === address) return { domain, via: 'address' };
+      if (this.addressesOf(domain).includes(address)) return { domain, via: 'forward' };
+    }
+    if (!DomainResolver.isPublicAddress(address)) return null;
+    const cached = this.reverseCache.get(address);
+    let hostnames;
+    if (cached && cached.expiresAt > Date.now()) {
+      hostnames = cached.hostnames;
+    } else {
+      if (budget.reverse <= 0) return null;
+      budget.reverse -= 1;
+      hostnames = await this._reverse(address);
+    }
+    for (const host of hostnames) {
+      const h = host.toLowerCase().replace(/\.$/, '');
+      const domain = list.find((d) => h === d || h.endsWith(`.${d}`));
+      if (domain) return { domain, via: 'reverse', hostname: h };
+    }
+    return null;
+  }
+
+  getStatus() {
+    return { domains: this.forward.size, reverseEntries: this.reverseCache.size };
+  }
+
+  _resolveDomain(domain) {
+    return this._once(`f:${domain}`, async () => {
+      const answers = await Promise.all([
+        this.resolver.resolve4(domain, { ttl: true }).catch(() => []),
+        this.resolver.resolve6(domain, { ttl: true }).catch(() => [])
+      ]);
+      const records = answers.flat().filter((r) => r && r.address);
+      const addresses = [...new Set(records.map((r) => DomainResolver.normalizeAddress(r.address)))];
+      this._store(this.forward, domain, { addresses, expiresAt: Date.now() + this._ttl(records) });
+      return addresses;
+    });
+  }
+
+  _reverse(address) {
+    return this._once(`r:${address}`, async () => {
+      let hostnames = [];
+      let ttl = this.options.minTtlMs;
+      try {
+        hostnames = (await this.resolver.reverse(address)).map((h) => String(h).toLowerCase());
+      } catch {
+        ttl = this.options.negativeTtlMs;
+      }
+      // PTR answers carry no TTL through this API
+      this._store(this.reverseCache, address, { hostnames, expiresAt: Date.now() + ttl });
+      return hostnames;
+    });
+  }
+
+  _ttl(records) {
+    if (records.length === 0) return this.options.negativeTtlMs;
+    const seconds = Math.min(...records.map((r) => (Number.isFinite(r.ttl) ? r.ttl : 0)));
+    return Math.min(this.options.maxTtlMs, Math.max(this.options.minTtlMs, seconds * 1000));
+  }
+
+  _store(map, key, value) {
+    map.delete(key);
+    if (map.size >= this.options.maxEntries) map.delete(map.keys().next().value);
+    map.set(key, value);
+  }
+
+  _once(key, fn) {
+    if (this.pending.has(key)) return this.pending.get(key);
+    const job = fn().finally(() => { this.pending.delete(key); });
+    this.pending.set(key, job);
+    return job;
+  }
+}
+
+DomainResolver.shared = new DomainResolver();
+
+module.exports = DomainResolver;
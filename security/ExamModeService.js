@@ -2,45 +2,39 @@ const si = require('systeminformation');
 const path = require('path');
 const os = require('os');
 const { exec } = require('child_process');
+const DetectionLists = require('./DetectionLists');
+const PolicyProfile = require('./PolicyProfile');
 
 class ExamModeService {
   constructor() {
     this.enableLog = true;
-    // Domains used to detect screen-sharing related tabs
-    this.screenSharingDomains = [
-      'meet.google.com','teams.microsoft.com','zoom.us','webex.com','gotomeeting.com','discord.com','slack.com','whereby.com','jitsi.org','appear.in','skype.com','teamviewer.com'
-    ];
-    
-    // Blacklisted processes for enhanced security detection
-    this.blacklistedProcesses = [
-      // macOS-specific remote access tools
-      'remote_assistance_host',
-      // 'teamviewer',
-      // 'anydesk',
-      // 'logmein',
-      // 'gotomypc',
-      // 'chrome_remote_desktop',
-      // 'vnc',
-      // 'screen_sharing',
-      // 'remote_desktop',
-      // 'teamviewer_daemon',
-      // 'anydesk_daemon',
-      // 'logmein_daemon',
-      // 'gotomypc_daemon',
-      // 'vnc_server',
-      // 'vncviewer',
-      // 'tigervnc',
-      // 'tightvnc',
-      // 'ultravnc',
-      // 'realvnc',
-      // 'chrome_remote_desktop_host',
-      // 'chrome_remote_desktop_service',
-      // 'rdp',
-      // 'microsoft_remote_desktop',
-      // 'apple_remote_desktop',
-      // 'ard_agent',
-      // 'remote_desktop_agent'
-    ];
+    // Screen sharing domains and blacklisted processes come from the signature bundle; see applyDetection
+    this.applyDetection(DetectionLists.BUILTIN);
+    this.policy = new PolicyProfile(PolicyProfile.DEFAULT_NAME);
+  }
+
+  // Selects the exam policy profile: allowed processes are not flagged, denied ones always are
+  setPolicy(profile) {
+    this.policy = profile || new PolicyProfile(PolicyProfile.DEFAULT_NAME);
+  }
+
+  // Processes the policy denies that are not in `flagged` yet, in the flagged item shape
+  policyDeniedProcesses(list, flagged) {
+    const out = [];
+    if (!this.policy.deny.length) return out;
+    for (const p of list) {
+      const match = this.policy.deniedBy(p.name, p.command);
+      if (!match || flagged.some(f => f.pid === p.pid)) continue;
+      out.push({ pid: p.pid, name: p.name, cpu: p.cpu || 0, mem: p.mem || 0, command: p.command, policyDenied: true, match });
+    }
+    return out;
+  }
+
+  // Replaces the keyword lists with signatures.detection from the active bundle (see DetectionLists)
+  applyDetection(detection) {
+    const d = DetectionLists.normalize(detection);
+    this.screenSharingDomains = d.screenSharingDomains;
+    this.blacklistedProcesses = d.examBlacklistedProcesses;
   }
 
   log(message, ...args) {
@@ -690,7 +684,7 @@ class ExamModeService {
   async runExamModeChecks(options = {}) {
     const opts = {
       allowedCompanionMatches: Array.isArray(options.allowedCompanionMatches) ? options.allowedCompanionMatches.map(s => String(s || '').toLowerCase()).filter(Boolean) : [],
-      preferredBrowserFamily: String(options.preferredBrowserFamily || '').toLowerCase() || null
+      preferredBrowserFamily: String(options.preferredBrowserFamily || this.policy.preferredBrowserFamily || '').toLowerCase() || null
     };
     try {
       const processesRes = await this.safe('processes', () => si.processes(), process.platform === 'win32' ? 10000 : 6000);
@@ -730,18 +724,20 @@ class ExamModeService {
           }
         }
         
+        const flagged = blacklistedProcesses.concat(this.policyDeniedProcesses(all, blacklistedProcesses));
         return {
           ok: true,
+          policy: this.policy.name,
           summary: {
             totalProcesses: list.length,
             nonSystemProcesses: 0,
-            flaggedCount: blacklistedProcesses.length,
+            flaggedCount: flagged.length,
             blacklistedCount: blacklistedProcesses.length,
             activeBrowsers: [],
             allowedBrowserFamily: null,
             multipleBrowsersActive: false
           },
-          flagged: blacklistedProcesses,
+          flagged,
           blacklistedProcesses,
           allowed: {
             browserFamily: null,
@@ -925,7 +921,7 @@ class ExamModeService {
           )
         ) : false;
         const allowAsBrowser = allowedBrowserFamily && fam === allowedBrowserFamily && isMain;
-        const allowAsCompanion = isCompanion(p.name, p.command);
+        const allowAsCompanion = isCompanion(p.name, p.command) || this.policy.allows(p.name, p.command);
         const whiteListedProcesses = ['Cursor.exe', 'Cursor', 'cursor.exe', 'cursor']
         const isWhiteListedProcess = whiteListedProcesses.includes(p.name);
         if (allowAsBrowser || allowAsCompanion || isWhiteListedProcess) continue;
@@ -941,6 +937,8 @@ class ExamModeService {
         }
       }
 
+      flagged.push(...this.policyDeniedProcesses(processesToCheck, flagged));
+
       flagged.sort((a, b) => (b.cpu || 0) - (a.cpu || 0));
 
       // Linux: include active window applications (by wmctrl) for visibility
@@ -951,6 +949,7 @@ class ExamModeService {
 
       return {
         ok: true,
+        policy: this.policy.name,
         summary: {
           totalProcesses: all.length,
           nonSystemProcesses: nonSystem.length,
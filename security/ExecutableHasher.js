@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Binaries above this size are not hashed (nothing we ship signatures for comes close)
+const MAX_HASH_BYTES = 256 * 1024 * 1024;
+const MAX_CACHE_ENTRIES = 4096;
+
+// SHA-256 of running processes' executables, so a renamed binary is still recognised. Results are
+// cached by device/inode and invalidated when mtime or size change; a binary shared by many
+// processes is read once. On Linux the executable is opened through /proc/<pid>/exe, which keeps
+// working when the file was moved or deleted after launch.
+class ExecutableHasher {
+  constructor(options = {}) {
+    this.platform = options.platform || process.platform;
+    this.maxBytes = Number(options.maxBytes) || MAX_HASH_BYTES;
+    this.cache = new Map(); // `${dev}:${ino}` -> { mtimeMs, size, sha256 }
+    this.pending = new Map(); // same key -> Promise<sha256 | null>
+  }
+
+  // Where the executable of a systeminformation process entry can be read, or null
+  executablePath(p) {
+    if (this.platform === 'linux') return `/proc/${p.pid}/exe`;
+    if (!p.path) return null;
+    // On Windows `path` is the full executable path; elsewhere it is the directory of `command`
+    if (this.platform === 'win32') return p.path;
+    return p.command ? path.join(p.path, p.command) : null;
+  }
+
+  // Full path of a process's executable, for signature rules: the target of /proc/<pid>/exe on
+  // Linux, executablePath() elsewhere; the command when neither can be read, '' when unknown
+  fullPath(p) {
+    if (this.platform === 'linux') {
+      try { return fs.readlinkSync(`/proc/${p.pid}/exe`).replace(/ \(deleted\)$/, ''); } catch {}
+      if (p.path && p.command && !path.isAbsolute(p.command)) return path.join(p.path, p.command);
+      return p.command || '';
+    }
+    return this.executablePath(p) || p.command || '';
+  }
+
+  // Resolves with the lowercase hex digest, or null when the file cannot be read (exited process,
+  // no permission, too large)
+  async hashProcess(p) {
+    const file = this.executablePath(p);
+    if (!file) return null;
+    let stat;
+    try {
+      stat = await fs.promises.stat(file);
+    } catch {
+      return null;
+    }
+    if (!stat.isFile() || stat.size > this.maxBytes) return null;
+    const key = `${stat.dev}:${stat.ino}`;
+    const cached = this.cache.get(key);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.sha256;
+    if (this.pending.has(key)) return this.pending.get(key);
+    const job = this._hashFile(file)
+      .then((sha256) => {
+        if (this.cache.size >= MAX_CACHE_ENTRIES) this.cache.delete(this.cache.keys().next().value);
+        this.cache.set(key, { mtimeMs: stat.mtimeMs, size: stat.size, sha256 });
+        return sha256;
+      })
+      .catch(() => null)
+      .finally(() => { this.pending.delete(key); });
+    this.pending.set(key, job);
+    return job;
+  }
+
+  _hashFile(file) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(file)
+        .on('error', reject)
+        .on('data', (chunk) => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  // Processes whose executable hash is in `hashes`: [{ process, sha256, path }]. Hashing runs a few
+  // files at a time to keep scans from saturating the disk.
+  async findMatches(processes, hashes, concurrency = 4) {
+    const wanted = new Set((hashes || []).map((h) => String(h).toLowerCase()));
+    if (wanted.size === 0) return [];
+    const matches = [];
+    const queue = processes.slice();
+    const worker = async () => {
+      while (queue.length) {
+        const p = queue.shift();
+        const sha256 = await this.hashProcess(p);
+        if (!sha256 || !wanted.has(sha256)) continue;
+        const file = this.executablePath(p);
+        matches.push({ process: p, sha256, path: await fs.promises.realpath(file).catch(() => file) });
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+    return matches;
+  }
+}
+
+ExecutableHasher.shared = new ExecutableHasher();
+
+module.exports = ExecutableHasher;
@@ -0,0 +1,162 @@
+// Per-exam policy profiles (signatures.profiles in the bundle), selected by the exam website.
+//
+//   "open-book-coding": {
+//     "description": "Open-book coding exam",
+//     "allow": ["code", "gnome-calculator"],    executable names; not flagged as suspicious
+//     "deny": ["chatgpt"],                      keywords; matching processes are always flagged
+//     "severity": { "suspicious_process": "low", "virtual_machine_detected": "off" },
+//     "preferredBrowserFamily": "chrome"
+//   }
+//
+// Deny keywords match case-insensitively as substrings of the process name or the whole command
+// line. Allow entries are exact executable names (case-insensitive, ".exe" optional) compared with
+// the process name and the file name of its executable, so "code" allows VS Code but not
+// "codeweavers". Allow only exempts the types in ALLOWABLE_TYPES (and, in ExamModeService, the
+// catch-all unknown process check); remote control, messaging, virtualization, blacklisted and
+// signature_* threats are reported whatever the profile allows. Deny wins over allow.
+// Severity overrides are keyed by threat type; "off" drops that type entirely. The built-in
+// "default" profile changes nothing.
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const THREAT_TYPE_PATTERN = /^[a-z0-9_]{1,64}$/;
+const DEFAULT_NAME = 'default';
+const DENIED_TYPE = 'policy_denied_process';
+// Threat types an allow entry can exempt: the generic "tool that might help" heuristics
+const ALLOWABLE_TYPES = new Set(['suspicious_process']);
+
+// Executable file name from a command line (quoted or not)
+function executableOf(command) {
+  const m = /^\s*"([^"]+)"|^\s*(\S+)/.exec(String(command || ''));
+  return m ? (m[1] || m[2]).split(/[\\/]/).pop() : '';
+}
+
+function executableName(value) {
+  return String(value || '').trim().toLowerCase().replace(/\.exe$/, '');
+}
+
+function executableList(value, where) {
+  const list = keywordList(value, where);
+  const bad = list.find((v) => /[\\/]/.test(v));
+  if (bad) throw new Error(`${where}: ${JSON.stringify(bad)} must be an executable name, not a path`);
+  return list.map(executableName);
+}
+
+function keywordList(value, where) {
+  if (typeof value === 'undefined') return [];
+  if (!Array.isArray(value) || !value.every((v) => typeof v === 'string' && v.trim())) {
+    throw new Error(`${where} must be an array of non-empty strings`);
+  }
+  return value.map((v) => v.trim().toLowerCase());
+}
+
+class PolicyProfile {
+  constructor(name, definition = {}) {
+    const where = `profiles.${name}`;
+    if (!PROFILE_NAME_PATTERN.test(String(name))) throw new Error(`${where}: invalid profile name`);
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) throw new Error(`${where} must be an object`);
+    this.name = name;
+    this.description = typeof definition.description === 'string' ? definition.description : '';
+    this.allow = executableList(definition.allow, `${where}.allow`);
+    this.deny = keywordList(definition.deny, `${where}.deny`);
+    const severity = definition.severity || {};
+    if (typeof severity !== 'object' || Array.isArray(severity)) throw new Error(`${where}.severity must be an object`);
+    this.severity = {};
+    for (const [type, level] of Object.entries(severity)) {
+      if (!THREAT_TYPE_PATTERN.test(type)) throw new Error(`${where}.severity: invalid threat type ${JSON.stringify(type)}`);
+      if (level !== 'off' && !SEVERITIES.includes(level)) throw new Error(`${where}.severity.${type} must be one of ${SEVERITIES.join(', ')}, off`);
+      this.severity[type] = level;
+    }
+    const browser = definition.preferredBrowserFamily;
+    if (browser !== undefined && browser !== null && typeof browser !== 'string') throw new Error(`${where}.preferredBrowserFamily must be a string`);
+    this.preferredBrowserFamily = browser ? browser.toLowerCase() : null;
+  }
+
+  // Validates signatures.profiles; returns name -> PolicyProfile and throws on the first invalid one
+  static compile(profiles) {
+    if (typeof profiles === 'undefined' || profiles === null) return {};
+    if (typeof profiles !== 'object' || Array.isArray(profiles)) throw new Error('profiles must be an object');
+    const out = {};
+    for (const [name, definition] of Object.entries(profiles)) out[name] = new PolicyProfile(name, definition);
+    return out;
+  }
+
+  // The named profile from a bundle's profiles; "default" exists even when the bundle omits it
+  static select(profiles, name = DEFAULT_NAME) {
+    const compiled = PolicyProfile.compile(profiles);
+    if (compiled[name]) return compiled[name];
+    if (name === DEFAULT_NAME) return new PolicyProfile(DEFAULT_NAME);
+    return null;
+  }
+
+  static names(profiles) {
+    return [...new Set([DEFAULT_NAME, ...Object.keys(profiles || {})])];
+  }
+
+  deniedBy(name, command) {
+    return this._match(this.deny, [name, command]);
+  }
+
+  allows(name, command) {
+    if (this.allow.length === 0 || this.deniedBy(name, command)) return false;
+    return [name, executableOf(command)].some((n) => n && this.allow.includes(executableName(n)));
+  }
+
+  _match(keywords, subjects) {
+    if (keywords.length === 0) return null;
+    const texts = subjects.filter(Boolean).map((s) => String(s).toLowerCase());
+    return keywords.find((k) => texts.some((t) => t.includes(k))) || null;
+  }
+
+  // Adjusts SecurityService threats: drops allowed (ALLOWABLE_TYPES only) and "off" ones, applies
+  // severity overrides and adds a policy_denied_process threat for each denied process not already
+  // reported
+  apply(threats, processes = []) {
+    const byPid = new Map(processes.map((p) => [p.pid, p]));
+    const out = [];
+    const reportedPids = new Set();
+    for (const t of threats) {
+      const details = t.details || {};
+      const pid = Number(details.pid || t.pid) || null;
+      const proc = pid ? byPid.get(pid) : null;
+      const name = details.name || details.processName || (proc && proc.name);
+      const command = details.command || (proc && [proc.command, proc.params].filter(Boolean).join(' '));
+      if (ALLOWABLE_TYPES.has(t.type) && (name || command) && this.allows(name, command)) continue;
+      const level = this.severity[t.type];
+      if (level === 'off') continue;
+      out.push(level ? { ...t, severity: level } : t);
+      if (pid) reportedPids.add(pid);
+    }
+    if (this.deny.length && this.severity[DENIED_TYPE] !== 'off') {
+      for (const p of processes) {
+        if (reportedPids.has(p.pid)) continue;
+        const command = [p.command, p.params].filter(Boolean).join(' ');
+        const match = this.deniedBy(p.name, command);
+        if (!match) continue;
+        out.push({
+          type: DENIED_TYPE,
+          severity: this.severity[DENIED_TYPE] || 'high',
+          message: `Process not allowed by the "${this.name}" exam policy: ${p.name}`,
+          details: { pid: p.pid, name: p.name, command, profile: this.name, match }
+        });
+      }
+    }
+    return out;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      description: this.description,
+      allow: this.allow,
+      deny: this.deny,
+      severity: this.severity,
+      preferredBrowserFamily: this.preferredBrowserFamily
+    };
+  }
+}
+
+PolicyProfile.DEFAULT_NAME = DEFAULT_NAME;
+PolicyProfile.ALLOWABLE_TYPES = ALLOWABLE_TYPES;
+
+module.exports = PolicyProfile;
@@ -3,9 +3,15 @@ const si = require('systeminformation');
 const os = require('os');
 const path = require('path');
 const fs = require('fs');
+const net = require('net');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const SignatureRules = require('./SignatureRules');
+const ExecutableHasher = require('./ExecutableHasher');
+const DetectionLists = require('./DetectionLists');
+const DomainResolver = require('./DomainResolver');
+const PolicyProfile = require('./PolicyProfile');
 
 class SecurityService extends EventEmitter {
   constructor() {
@@ -21,43 +27,29 @@ class SecurityService extends EventEmitter {
 
     this.checkInterval = 20000;
 
-    // Blacklisted processes - any process matching these patterns will be flagged as a threat
-    this.blacklistedProcesses = [
-      'remote-assistance-host'
-    ];
-
-    // Only remote control / RDP-style tools here to avoid false positives
-    this.remoteControlApps = [
-      'teamviewer','tv_w32','tv_x64',
-      'anydesk','anydesk.exe',
-      'chrome_remote','remotedesktop','chrome_remote_desktop',
-      'vnc','vncserver','vncviewer','realvnc','tightvnc','ultravnc','winvnc','vnc4server','x11vnc',
-      'mstsc','rdp','remote desktop','terminal services','rdpclip','rdpinput','rdpsnd','rdpdr',
-      'logmein','gotomypc','remotepc','splashtop','dameware','radmin','ammyy','screenconnect','bomgar',
-      'remoteutilities','supremo','showmypc','zoho assist',
-      'chrome.exe --remote-debugging'
-    ];
-
-    this.backgroundServices = [
-      'teamviewerd','tv_bin/teamviewerd',
-      'ad_service',
-      'vncserver-x11-core',
-      'sshd',
-      'rdp-server',
-      'chrome --type=gpu-process','chrome --type=utility'
-    ];
-
-    this.screenSharingDomains = [
-      'meet.google.com','teams.microsoft.com','zoom.us','webex.com','gotomeeting.com','discord.com','slack.com','whereby.com','jitsi.org','appear.in','skype.com','teamviewer.com'
-    ];
+    // Keyword lists (blacklisted and remote control processes, screen sharing domains, threat
+    // patterns, ...) come from the signature bundle; see applyDetection
+    this.applyDetection(DetectionLists.BUILTIN);
+    // Exam policy profile adjusting every check's results; see setPolicy
+    this.policy = new PolicyProfile(PolicyProfile.DEFAULT_NAME);
+  }
 
-    this.suspiciousProcesses = [
-      'calculator','calc','gnome-calculator','kcalc','galculator','qalculate','mate-calc','xcalc','notepad','wordpad','gedit','kate','sublime','vscode','atom','brackets','intellij','eclipse',
-      'pycharm','webstorm','visual studio','dev-cpp','codeblocks','android studio','xcode','matlab','mathematica','maple',
-      'wolfram','octave','rstudio','spyder','anaconda'
-    ];
+  // Selects the exam policy profile (a PolicyProfile, or its toJSON() form from another thread)
+  setPolicy(profile) {
+    if (!profile) profile = new PolicyProfile(PolicyProfile.DEFAULT_NAME);
+    this.policy = profile instanceof PolicyProfile ? profile : new PolicyProfile(profile.name, profile);
+  }
 
-    this.suspiciousPorts = [5900,5901,5902,5903,5904,3389,22,23,5938,7070,4899,5500,6129];
+  // Replaces the keyword lists with signatures.detection from the active bundle (see DetectionLists)
+  applyDetection(detection) {
+    const d = DetectionLists.normalize(detection);
+    this.blacklistedProcesses = d.blacklistedProcesses;
+    this.remoteControlApps = d.remoteControlApps;
+    this.backgroundServices = d.backgroundServices;
+    this.screenSharingDomains = d.screenSharingDomains;
+    this.suspiciousProcesses = d.suspiciousProcesses;
+    this.suspiciousPorts = d.suspiciousPorts;
+    this.threatPatterns = d.threatPatterns;
   }
 
   // Centralized logging function
@@ -262,21 +254,8 @@ class SecurityService extends EventEmitter {
   }
 
   getThreatPatterns() {
-    // Keyword patterns for matching app/process/service/extension names
-    return {
-      messaging: [
-        'whatsapp', 'telegram', 'discord', 'microsoft teams', 'teams', 'slack', 'zoom', 'signal', 'messenger', 'skype'
-      ],
-      remote_control: [
-        'teamviewer', 'anydesk', 'chrome remote desktop', 'chrome_remote_desktop', 'remote desktop', 'zoho assist', 'ultraviewer', 'remote utilities', 'remotepc', 'splashtop', 'vnc', 'realvnc', 'tightvnc', 'ultravnc', 'rdp', 'radmin', 'screenconnect', 'bomgar'
-      ],
-      virtualization: [
-        'virtualbox', 'vmware', 'parallels', 'qemu', 'kvm', 'hyper-v', 'hyperv', 'xen'
-      ],
-      screen_capture: [
-        'snagit', 'sharex', 'obs', 'obs studio', 'gyazo', 'camtasia', 'bandicam', 'fraps', 'screencast'
-      ]
-    };
+    // Keyword patterns for matching app/process/service/extension names, per category
+    return this.threatPatterns;
   }
 
   normalizeName(name) {
@@ -1884,18 +1863,160 @@ class SecurityService extends EventEmitter {
         }
       }
 
+      threats.push(...this.checkSignatureRules(sig.rules, proc.list || [], conns || []));
+      threats.push(...await this.checkSignatureHashes(sig.hashes, proc.list || []));
+      threats.push(...await this.checkSignatureDomains(domains, conns || [], proc.list || []));
+
       for (const c of (conns || [])) {
         const lp = Number(c.localport);
         const pp = Number(c.peerport);
         if (ports.includes(lp) || ports.includes(pp)) {
           threats.push({ type: 'signature_port', severity: 'high', message: `Malicious port in use (${lp || pp})`, details: { protocol: c.protocol, state: c.state } });
         }
+      }
+    } catch {}
+    return threats;
+  }
+
+  // Peer addresses are nearly always IPs, so signature domains are matched through DomainResolver:
+  // the domains' resolved addresses first, then reverse lookups of public peers (DomainResolver.shared
+  // keeps its TTL cache between scans). Peers are matched a few at a time and the whole check has
+  // one deadline; lookups still running then are left to fill the cache for the next scan.
+  async checkSignatureDomains(domains, connections, processes) {
+    const threats = [];
+    if (!Array.isArray(domains) || domains.length === 0) return threats;
+    const resolver = this.domainResolver || DomainResolver.shared;
+    const { matchConcurrency, checkTimeoutMs } = resolver.options;
+    const EXPIRED = Symbol('expired');
+    let timer = null;
+    const expired = new Promise(resolve => { timer = setTimeout(resolve, checkTimeoutMs, EXPIRED); });
+    const bounded = (promise) => Promise.race([promise, expired]);
+    const budget = { reverse: resolver.options.maxReversePerScan };
+    const hits = new Map(); // connection -> { domain, via, hostname? }
+    const queue = [];
+    let skipped = 0;
+    try {
+      if (await bounded(resolver.prefetch(domains)) === EXPIRED) {
+        this.log(`⚠️ Domain signature lookups exceeded ${checkTimeoutMs} ms; matching on cached answers`);
+      }
+      for (const c of connections) {
         const peer = String(c.peeraddress || '').toLowerCase();
-        if (peer && domains.some(d => peer.includes(d))) {
-          threats.push({ type: 'signature_domain', severity: 'high', message: `Connection to malicious host: ${c.peeraddress}`, details: { protocol: c.protocol, state: c.state } });
+        if (!peer || peer === '*' || c.state === 'LISTEN') continue;
+        if (!net.isIP(DomainResolver.normalizeAddress(peer))) {
+          const domain = domains.find(d => peer.includes(d));
+          if (domain) {
+            hits.set(c, { domain, via: 'hostname' });
+            continue;
+          }
         }
+        queue.push(c);
       }
-    } catch {}
+      const worker = async () => {
+        while (queue.length) {
+          const c = queue.shift();
+          const hit = await bounded(resolver.match(c.peeraddress, domains, budget).catch(() => null));
+          if (hit === EXPIRED) {
+            skipped += queue.length + 1;
+            queue.length = 0;
+            return;
+          }
+          if (hit) hits.set(c, hit);
+        }
+      };
+      await Promise.all(Array.from({ length: Math.max(1, matchConcurrency) }, worker));
+    } finally {
+      clearTimeout(timer);
+    }
+    if (skipped) this.log(`⚠️ Domain signature check hit its ${checkTimeoutMs} ms deadline; ${skipped} connection(s) not matched`);
+    const names = new Map(processes.map(p => [p.pid, p.name]));
+    const seen = new Set();
+    for (const c of connections) {
+      const hit = hits.get(c);
+      if (!hit) continue;
+      const peer = String(c.peeraddress || '').toLowerCase();
+      const key = `${c.pid}|${peer}|${hit.domain}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const processName = c.process || names.get(c.pid) || null;
+      threats.push({
+        type: 'signature_domain',
+        severity: 'high',
+        message: `Connection to malicious host ${hit.domain} (${c.peeraddress})${processName ? ` by ${processName}` : ''}`,
+        details: {
+          domain: hit.domain,
+          address: c.peeraddress,
+          port: Number(c.peerport) || null,
+          via: hit.via,
+          hostname: hit.hostname || null,
+          pid: c.pid || null,
+          process: processName,
+          protocol: c.protocol,
+          state: c.state
+        }
+      });
+    }
+    return threats;
+  }
+
+  // Known-bad binaries by SHA-256, whatever the process is called. The hasher is shared by every
+  // SecurityService in the thread so its inode/mtime cache survives between scans.
+  async checkSignatureHashes(hashes, processes) {
+    if (!Array.isArray(hashes) || hashes.length === 0) return [];
+    const hasher = this.executableHasher || ExecutableHasher.shared;
+    const matches = await hasher.findMatches(processes, hashes);
+    return matches.map(({ process: p, sha256, path: file }) => ({
+      type: 'signature_hash',
+      severity: 'high',
+      message: `Known malicious executable running as ${p.name} (sha256 ${sha256.slice(0, 12)}...)`,
+      details: { pid: p.pid, name: p.name, path: file, sha256 }
+    }));
+  }
+
+  // Bundle rules (see SignatureRules) run over every process, idle ones included: a rule names
+  // exactly what it looks for, so the activity heuristic used for bare names would only hide hits
+  checkSignatureRules(rules, processes, connections) {
+    const threats = [];
+    if (!Array.isArray(rules) || rules.length === 0) return threats;
+    if (!this.signatureRules || this.signatureRules.source !== rules) {
+      try {
+        this.signatureRules = { source: rules, engine: new SignatureRules(rules) };
+      } catch (e) {
+        this.logError('Invalid signature rules:', e.message);
+        this.signatureRules = { source: rules, engine: new SignatureRules([]) };
+      }
+    }
+    const byPid = new Map(processes.map(p => [p.pid, p]));
+    const listening = new Map();
+    for (const c of connections) {
+      if (String(c.state || '').toUpperCase() !== 'LISTEN' || !c.pid) continue;
+      if (!listening.has(c.pid)) listening.set(c.pid, new Set());
+      listening.get(c.pid).add(Number(c.localport));
+    }
+    const commandLine = (p) => [p.command, p.params].filter(Boolean).join(' ').slice(0, 4096);
+    const hasher = this.executableHasher || ExecutableHasher.shared;
+    for (const p of processes) {
+      const parent = byPid.get(p.parentPid);
+      const ctx = {
+        pid: p.pid,
+        name: p.name || '',
+        command: commandLine(p),
+        // systeminformation's `path` is the full executable only on Windows (a directory or ''
+        // elsewhere), so the path is resolved the same way the hasher finds the binary
+        path: hasher.fullPath(p),
+        user: p.user || '',
+        parent: parent ? parent.name || '' : '',
+        parentCommand: parent ? commandLine(parent) : '',
+        ports: Array.from(listening.get(p.pid) || [])
+      };
+      for (const hit of this.signatureRules.engine.evaluate(ctx)) {
+        threats.push({
+          type: 'signature_rule',
+          severity: hit.severity,
+          message: hit.message,
+          details: { ruleId: hit.id, pid: p.pid, name: ctx.name, command: ctx.command }
+        });
+      }
+    }
     return threats;
   }
 
@@ -2089,10 +2210,20 @@ class SecurityService extends EventEmitter {
 
   async runAllChecks(signatures) {
     this.log(`🔍 Starting runAllChecks...`);
+    if (signatures && signatures.detection) {
+      try { this.applyDetection(signatures.detection); } catch (e) { this.logError('Invalid detection lists:', e.message); }
+    }
+    if (signatures && signatures.policy) {
+      try { this.setPolicy(signatures.policy); } catch (e) { this.logError('Invalid policy profile:', e.message); }
+    }
+    // One process snapshot for the process checks and the policy, so the policy judges the same
+    // processes the checks reported (the checks fetch their own when it failed)
+    const snapshot = await this.safe('processes', () => si.processes(), 4000);
+    const processes = snapshot && Array.isArray(snapshot.list) ? snapshot : null;
     const results = await Promise.allSettled([
-      this.checkBlacklistedProcesses(),
-      this.checkRemoteControlApplications(),
-      this.checkSuspiciousProcesses(),
+      this.checkBlacklistedProcesses(processes),
+      this.checkRemoteControlApplications(processes),
+      this.checkSuspiciousProcesses(processes),
       this.checkSuspiciousNetworkConnections(),
       this.checkScreenSharingIndicators(),
       this.analyzeNetworkTrafficPatterns(),
@@ -2119,7 +2250,12 @@ class SecurityService extends EventEmitter {
       seen.add(k);
       unique.push(t);
     }
-    return unique;
+    return this.applyPolicy(unique, processes ? processes.list : []);
+  }
+
+  // Allow/deny entries need the process list to identify threats reported by pid only
+  applyPolicy(threats, processes = []) {
+    return this.policy.apply(threats, processes);
   }
 }
 
@@ -0,0 +1,152 @@
+// Rule language of the signature bundle (signatures.rules). A rule flags a process when its
+// condition holds:
+//
+//   { "id": "ai-helper-script", "severity": "high",
+//     "message": "{{name}} (pid {{pid}}) is running an AI helper: {{command}}",
+//     "match": { "all": [ { "field": "name", "glob": "python*" },
+//                          { "field": "command", "glob": "*ai_helper*" } ] } }
+//
+// Conditions combine with { all: [...] }, { any: [...] } and { not: {...} }. A leaf tests one
+// field with exactly one operator: equals, in (list), glob (* and ?), regex (with optional flags,
+// default "i") or range ([min, max], numbers only). String comparisons ignore case. `path` is the
+// full path of the executable on every platform (e.g. /usr/bin/anydesk, C:\Program Files\...\x.exe);
+// it is '' when the process's executable cannot be determined. For `ports` (the ports the process
+// listens on) a leaf holds when any port satisfies it.
+
+const FIELDS = ['name', 'command', 'path', 'user', 'parent', 'parentCommand', 'ports'];
+const OPERATORS = ['equals', 'in', 'glob', 'regex', 'range'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const RULE_ID_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const MAX_DEPTH = 8;
+
+function globToRegExp(glob) {
+  const source = String(glob)
+    .split('')
+    .map((ch) => (ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`, 'is');
+}
+
+function lower(value) {
+  return String(value).toLowerCase();
+}
+
+// Returns a predicate over a process context; throws with the JSON path of the first mistake
+function compileCondition(cond, where, depth = 0) {
+  if (depth > MAX_DEPTH) throw new Error(`${where}: conditions nested deeper than ${MAX_DEPTH}`);
+  if (!cond || typeof cond !== 'object' || Array.isArray(cond)) throw new Error(`${where}: condition must be an object`);
+  for (const combinator of ['all', 'any']) {
+    if (combinator in cond) {
+      const list = cond[combinator];
+      if (!Array.isArray(list) || list.length === 0) throw new Error(`${where}.${combinator}: must be a non-empty array`);
+      const parts = list.map((c, i) => compileCondition(c, `${where}.${combinator}[${i}]`, depth + 1));
+      return combinator === 'all' ? (ctx) => parts.every((p) => p(ctx)) : (ctx) => parts.some((p) => p(ctx));
+    }
+  }
+  if ('not' in cond) {
+    const inner = compileCondition(cond.not, `${where}.not`, depth + 1);
+    return (ctx) => !inner(ctx);
+  }
+  if (!FIELDS.includes(cond.field)) throw new Error(`${where}.field: must be one of ${FIELDS.join(', ')}`);
+  const ops = OPERATORS.filter((op) => op in cond);
+  if (ops.length !== 1) throw new Error(`${where}: needs exactly one of ${OPERATORS.join(', ')}`);
+  const test = compileOperator(ops[0], cond, `${where}.${ops[0]}`);
+  const field = cond.field;
+  return (ctx) => {
+    const value = ctx[field];
+    if (Array.isArray(value)) return value.some((v) => test(v));
+    return value !== null && typeof value !== 'undefined' && test(value);
+  };
+}
+
+function compileOperator(op, cond, where) {
+  const arg = cond[op];
+  switch (op) {
+    case 'equals':
+      if (typeof arg !== 'string' && typeof arg !== 'number') throw new Error(`${where}: must be a string or number`);
+      return (v) => lower(v) === lower(arg);
+    case 'in': {
+      if (!Array.isArray(arg) || arg.length === 0) throw new Error(`${where}: must be a non-empty array`);
+      const set = new Set(arg.map(lower));
+      return (v) => set.has(lower(v));
+    }
+    case 'glob': {
+      if (typeof arg !== 'string' || !arg) throw new Error(`${where}: must be a non-empty string`);
+      const re = globToRegExp(arg);
+      return (v) => re.test(String(v));
+    }
+    case 'regex': {
+      if (typeof arg !== 'string' || !arg) throw new Error(`${where}: must be a non-empty string`);
+      let re;
+      try {
+        re = new RegExp(arg, typeof cond.flags === 'string' ? cond.flags.replace(/[gy]/g, '') : 'i');
+      } catch (e) {
+        throw new Error(`${where}: ${e.message}`);
+      }
+      return (v) => re.test(String(v));
+    }
+    case 'range': {
+      if (!Array.isArray(arg) || arg.length !== 2 || !arg.every(Number.isFinite) || arg[0] > arg[1]) {
+        throw new Error(`${where}: must be [min, max]`);
+      }
+      return (v) => Number(v) >= arg[0] && Number(v) <= arg[1];
+    }
+    default:
+      throw new Error(`${where}: unknown operator`);
+  }
+}
+
+// {{field}} placeholders are replaced from the process context; unknown ones render empty
+function renderTemplate(template, ctx, rule) {
+  return String(template).replace(/\{\{\s*([A-Za-z]+)\s*\}\}/g, (_m, key) => {
+    if (key === 'rule') return rule.id;
+    if (key === 'severity') return rule.severity;
+    const value = ctx[key];
+    if (value === null || typeof value === 'undefined') return '';
+    return Array.isArray(value) ? value.join(',') : String(value);
+  });
+}
+
+class SignatureRules {
+  constructor(rules = []) {
+    this.rules = SignatureRules.compile(rules);
+  }
+
+  // Validates and compiles rule definitions; throws on the first invalid one
+  static compile(rules) {
+    if (!Array.isArray(rules)) throw new Error('rules must be an array');
+    const ids = new Set();
+    return rules.map((rule, i) => {
+      const where = `rules[${i}]`;
+      if (!rule || typeof rule !== 'object') throw new Error(`${where}: must be an object`);
+      if (!RULE_ID_PATTERN.test(String(rule.id || ''))) throw new Error(`${where}.id: must match ${RULE_ID_PATTERN}`);
+      if (ids.has(rule.id)) throw new Error(`${where}.id: duplicate id ${rule.id}`);
+      ids.add(rule.id);
+      const severity = rule.severity || 'high';
+      if (!SEVERITIES.includes(severity)) throw new Error(`${where}.severity: must be one of ${SEVERITIES.join(', ')}`);
+      if (typeof rule.message !== 'string' || !rule.message) throw new Error(`${where}.message: must be a non-empty string`);
+      return { id: rule.id, severity, message: rule.message, test: compileCondition(rule.match, `${where}.match`) };
+    });
+  }
+
+  get size() {
+    return this.rules.length;
+  }
+
+  // Rules matching one process context ({ pid, name, command, path, user, parent, parentCommand, ports });
+  // a rule that throws counts as not matching
+  evaluate(ctx) {
+    const hits = [];
+    for (const rule of this.rules) {
+      let matched = false;
+      try { matched = rule.test(ctx); } catch {}
+      if (matched) hits.push({ id: rule.id, severity: rule.severity, message: renderTemplate(rule.message, ctx, rule) });
+    }
+    return hits;
+  }
+}
+
+SignatureRules.FIELDS = FIELDS;
+SignatureRules.SEVERITIES = SEVERITIES;
+
+module.exports = SignatureRules;
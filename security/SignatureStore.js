@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const SignatureRules = require('./SignatureRules');
+const DetectionLists = require('./DetectionLists');
+const PolicyProfile = require('./PolicyProfile');
+const { writeFileAtomic } = require('../comm/AtomicFile');
+
+// Ed25519 key signature bundles are verified against. Only the public half ships with the app;
+// bundles are signed offline with scripts/sign-bundle.js and the private key kept by the release owner.
+const BUNDLE_PUBLIC_KEY = `-----BEGIN PUBLIC KEY-----
+MCowBQYDK2VwAyEAqHOygqL6CHvXZS/6nuAzFgPrCIANABp1CbjMz6aVXT8=
+-----END PUBLIC KEY-----
+`;
+
+const LIST_KEYS = ['processNames', 'ports', 'domains', 'packages', 'rules', 'hashes'];
+const EMPTY_SIGNATURES = Object.freeze({
+  processNames: [], ports: [], domains: [], packages: [], rules: [], hashes: [],
+  detection: DetectionLists.BUILTIN,
+  profiles: {}
+});
+
+// Loads the malicious signature bundle (data/malicious.json with a detached malicious.json.sig).
+// Only bundles whose signature verifies are used. Each verified bundle is copied to stateDir as
+// the last known-good one, so a tampered or emptied file falls back to it instead of to nothing.
+// A bundle never replaces one with a higher version.
+class SignatureStore {
+  constructor(options = {}) {
+    this.bundlePath = options.bundlePath;
+    this.stateDir = options.stateDir || null;
+    this.publicKey = crypto.createPublicKey(options.publicKey || BUNDLE_PUBLIC_KEY);
+    this.active = null; // { version, issuedAt, signatures, source, sha256, loadedAt }
+    this.lastError = null; // { source, error, at } of the last rejected bundle
+  }
+
+  get lastKnownGoodPath() {
+    return this.stateDir ? path.join(this.stateDir, 'last-known-good.json') : null;
+  }
+
+  // Throws with the reason when the bundle is unsigned, tampered or malformed
+  static parseBundle(raw, signature, publicKey) {
+    const sig = Buffer.from(String(signature || '').trim(), 'base64');
+    if (sig.length !== 64) throw new Error('missing or malformed signature');
+    if (!crypto.verify(null, Buffer.from(raw), publicKey, sig)) throw new Error('signature does not match');
+    return SignatureStore.readBundle(raw);
+  }
+
+  // Structural checks only; used by parseBundle after verification and by the signing script
+  static readBundle(raw) {
+    const bundle = JSON.parse(String(raw));
+    if (!bundle || typeof bundle !== 'object') throw new Error('bundle must be an object');
+    if (!Number.isInteger(bundle.version) || bundle.version < 1) throw new Error('version must be a positive integer');
+    if (!bundle.issuedAt || Number.isNaN(Date.parse(bundle.issuedAt))) throw new Error('issuedAt must be an ISO date');
+    const s = bundle.signatures;
+    if (!s || typeof s !== 'object') throw new Error('signatures must be an object');
+    for (const key of LIST_KEYS) {
+      if (typeof s[key] !== 'undefined' && !Array.isArray(s[key])) throw new Error(`signatures.${key} must be an array`);
+    }
+    // Compiled only to reject bad rules up front; consumers compile their own copy
+    SignatureRules.compile(s.rules || []);
+    PolicyProfile.compile(s.profiles);
+    for (const hash of s.hashes || []) {
+      if (!/^[0-9a-f]{64}$/i.test(String(hash))) throw new Error(`signatures.hashes: ${JSON.stringify(hash)} is not a SHA-256 hex digest`);
+    }
+    return {
+      version: bundle.version,
+      issuedAt: new Date(bundle.issuedAt).toISOString(),
+      signatures: {
+        processNames: (s.processNames || []).map((n) => String(n).toLowerCase()),
+        ports: (s.ports || []).map((p) => String(p)),
+        domains: (s.domains || []).map((d) => String(d).toLowerCase()),
+        packages: s.packages || [],
+        rules: s.rules || [],
+        hashes: (s.hashes || []).map((h) => String(h).toLowerCase()),
+        detection: DetectionLists.normalize(s.detection),
+        profiles: s.profiles || {}
+      }
+    };
+  }
+
+  // Re-reads the shipped bundle and the last known-good copy and activates the newest valid one.
+  // Returns true when the active bundle changed.
+  load() {
+    this.lastError = null;
+    const candidates = [];
+    const bundled = this._read(this.bundlePath, 'bundled');
+    if (bundled) candidates.push(bundled);
+    const lastKnownGood = this.lastKnownGoodPath ? this._read(this.lastKnownGoodPath, 'last_known_good') : null;
+    if (lastKnownGood) candidates.push(lastKnownGood);
+    const best = candidates.reduce((a, b) => (!a || b.bundle.version > a.bundle.version ? b : a), null);
+    if (!best) return false;
+    if (this.active && (best.bundle.version < this.active.version || best.sha256 === this.active.sha256)) return false;
+    this.active = { ...best.bundle, source: best.source, sha256: best.sha256, loadedAt: Date.now() };
+    if (best.source !== 'last_known_good') this._saveLastKnownGood(best);
+    return true;
+  }
+
+  // Applies a downloaded bundle: it is verified before anything is written, then becomes the last
+  // known-good copy and is activated. If it does not end up active, the previous copy is restored.
+  // Returns { previousVersion, version, diff }; throws when the bundle is rejected.
+  install(raw, signature) {
+    if (!this.lastKnownGoodPath) throw new Error('no state directory to install into');
+    const bundle = SignatureStore.parseBundle(raw, signature, this.publicKey);
+    const previous = this.active;
+    if (previous && bundle.version <= previous.version) {
+      throw new Error(`version ${bundle.version} is not newer than active version ${previous.version}`);
+    }
+    const backup = this._readBackup();
+    this._saveLastKnownGood({ raw: Buffer.from(raw), signature: String(signature) });
+    const sha256 = crypto.createHash('sha256').update(raw).digest('hex');
+    this.load();
+    if (!this.active || this.active.sha256 !== sha256) {
+      this._restoreBackup(backup);
+      this.load();
+      throw new Error('installed bundle did not load; previous bundle restored');
+    }
+    return {
+      previousVersion: previous ? previous.version : null,
+      version: bundle.version,
+      diff: SignatureStore.diff(previous ? previous.signatures : EMPTY_SIGNATURES, bundle.signatures)
+    };
+  }
+
+  // Per list, what a new signature set adds and removes compared to the old one. Rules are listed
+  // by id; an edited rule shows up as both removed and added. Detection lists are keyed
+  // detection.<list> (detection.threatPatterns.<category> for pattern categories). Profiles are
+  // listed by name, an edited one as both removed and added.
+  static diff(before, after) {
+    const diffList = (was, now, identity = String, label = (v) => v) => {
+      const a = new Map((was || []).map((v) => [identity(v), v]));
+      const b = new Map((now || []).map((v) => [identity(v), v]));
+      return {
+        added: [...b].filter(([k]) => !a.has(k)).map(([, v]) => label(v)),
+        removed: [...a].filter(([k]) => !b.has(k)).map(([, v]) => label(v))
+      };
+    };
+    const out = {};
+    for (const key of LIST_KEYS) {
+      out[key] = key === 'rules'
+        ? diffList(before[key], after[key], (r) => JSON.stringify(r), (r) => r.id)
+        : diffList(before[key], after[key]);
+    }
+    const was = DetectionLists.flatten(before.detection);
+    const now = DetectionLists.flatten(after.detection);
+    for (const key of new Set([...Object.keys(was), ...Object.keys(now)])) out[`detection.${key}`] = diffList(was[key], now[key]);
+    out.profiles = diffList(
+      Object.entries(before.profiles || {}),
+      Object.entries(after.profiles || {}),
+      (entry) => JSON.stringify(entry),
+      ([name]) => name
+    );
+    return out;
+  }
+
+  getSignatures() {
+    return this.active ? this.active.signatures : EMPTY_SIGNATURES;
+  }
+
+  // Reported with every scan so the backend knows which rules produced a result
+  getInfo() {
+    return {
+      verified: !!this.active,
+      version: this.active ? this.active.version : null,
+      issuedAt: this.active ? this.active.issuedAt : null,
+      source: this.active ? this.active.source : null,
+      sha256: this.active ? this.active.sha256 : null,
+      lastError: this.lastError
+    };
+  }
+
+  _read(filePath, source) {
+    try {
+      const raw = fs.readFileSync(filePath);
+      const signature = fs.readFileSync(`${filePath}.sig`, 'utf8');
+      const bundle = SignatureStore.parseBundle(raw, signature, this.publicKey);
+      return { bundle, raw, signature, source, sha256: crypto.createHash('sha256').update(raw).digest('hex') };
+    } catch (e) {
+      // No last known-good copy yet is the normal first run, not a rejection
+      if (e.code === 'ENOENT' && source === 'last_known_good') return null;
+      this.lastError = { source, error: e.code === 'ENOENT' ? `file not found: ${path.basename(e.path)}` : String(e.message || e), at: Date.now() };
+      return null;
+    }
+  }
+
+  _saveLastKnownGood(candidate) {
+    if (!this.lastKnownGoodPath) return;
+    try {
+      fs.mkdirSync(this.stateDir, { recursive: true });
+      // Signature first: a crash in between leaves an unverifiable copy, never a trusted stale one
+      writeFileAtomic(`${this.lastKnownGoodPath}.sig`, candidate.signature);
+      writeFileAtomic(this.lastKnownGoodPath, candidate.raw);
+    } catch {}
+  }
+
+  _readBackup() {
+    try {
+      return { raw: fs.readFileSync(this.lastKnownGoodPath), signature: fs.readFileSync(`${this.lastKnownGoodPath}.sig`, 'utf8') };
+    } catch {
+      return null;
+    }
+  }
+
+  _restoreBackup(backup) {
+    if (backup) {
+      this._saveLastKnownGood(backup);
+      return;
+    }
+    for (const file of [this.lastKnownGoodPath, `${this.lastKnownGoodPath}.sig`]) {
+      try { fs.unlinkSync(file); } catch {}
+    }
+  }
+}
+
+SignatureStore.BUNDLE_PUBLIC_KEY = BUNDLE_PUBLIC_KEY;
+
+module.exports = SignatureStore;
@@ -3,7 +3,8 @@ const si = require('systeminformation');
 const SecurityService = require('../security/SecurityService');
 
 let timer = null;
-let signatures = { processNames: [], ports: [], domains: [] };
+let signatures = { processNames: [], ports: [], domains: [], rules: [], hashes: [] };
+let signatureVersion = null;
 
 async function performScanOnce() {
 	try {
@@ -13,7 +14,11 @@ async function performScanOnce() {
 		const threats = await securityService.runAllChecks({
 			processNames: signatures.processNames,
 			ports: (signatures.ports || []).map(p => Number(p)),
-			domains: signatures.domains
+			domains: signatures.domains,
+			rules: signatures.rules || [],
+			hashes: signatures.hashes || [],
+			detection: signatures.detection,
+			policy: signatures.policy
 		});
 		report.threats = threats;
 		
@@ -25,7 +30,8 @@ async function performScanOnce() {
 					ok: true, 
 					report,
 					hasThreats: threats && threats.length > 0,
-					threatCount: threats ? threats.length : 0
+					threatCount: threats ? threats.length : 0,
+					signatureVersion
 				} 
 			}); 
 		} catch {}
@@ -38,10 +44,15 @@ parentPort.on('message', (msg) => {
 	if (!msg || !msg.type) return;
 	if (msg.type === 'start') {
 		signatures = msg.signatures || signatures;
+		signatureVersion = Number.isInteger(msg.signatureVersion) ? msg.signatureVersion : null;
 		const interval = Number(msg.intervalMs) || 30000;
 		if (timer) clearInterval(timer);
 		timer = setInterval(() => { performScanOnce(); }, interval);
 		performScanOnce();
+	} else if (msg.type === 'signatures') {
+		// Signature bundle updated in the main process; used from the next scan on
+		signatures = msg.signatures || signatures;
+		signatureVersion = Number.isInteger(msg.signatureVersion) ? msg.signatureVersion : null;
 	} else if (msg.type === 'stop') {
 		if (timer) clearInterval(timer);
 		timer = null;